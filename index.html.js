@@ -11,19 +11,72 @@
 
     const MODULE_NAME = 'chat_folders';
     const EXTENSION_NAME = 'Too Many Chats';
+    const EXTENSION_VERSION = '1.0.0';
+
+    // Bump together with a new entry in MIGRATIONS whenever the stored shape changes
+    const SCHEMA_VERSION = 13;
+    const BACKUP_KEY = `${MODULE_NAME}_backup`;
+
+    // User-facing options from the settings drawer
+    const DEFAULT_OPTIONS = Object.freeze({
+        enabled: true,
+        syncDelay: 200,
+        uncategorizedLabel: 'Your chats',
+        hideEmptyFolders: false,
+        defaultCollapsed: false,
+        showCounts: true,
+        dateFormat: 'native',
+        autoArchiveDays: 0
+    });
 
     const defaultSettings = Object.freeze({
         folders: {},
         characterFolders: {},
-        version: '1.0.0'
+        autoRepair: true,
+        rules: { global: [], characters: {}, exempt: {} },
+        smartFolders: [],
+        uncategorized: {},
+        pinned: {},
+        chatTags: {},
+        viewMode: 'folders',
+        globalFolders: {},
+        archived: {},
+        archiveKeep: {},
+        lastOpened: {},
+        options: { ...DEFAULT_OPTIONS },
+        schemaVersion: SCHEMA_VERSION
     });
 
-    let observer = null;
+    // Set when the stored data comes from a newer schema: a detached copy that is never saved
+    let readOnlySettings = null;
+
     let syncDebounceTimer = null;
+    // Lifecycle: popups watched for opening, the open one's list observer, bound SillyTavern events
+    let popupWatcher = null;
+    let watchedPopups = [];
+    let listObserver = null;
+    let openPopup = null;
+    const boundEvents = [];
+    let pendingFocus = null;
+
+    // Multi-select state: file names of selected chats, plus the anchor for shift-click ranges
+    const selectedChats = new Set();
+    let selectionAnchor = null;
+    let selectionOwner = null;
+
+    // Rename tracking: the chat list seen at the last sync, and the chat that was open last
+    let knownChats = { characterId: null, fingerprints: new Map() };
+    let lastOpenChat = { characterId: null, chatId: null };
+    let pendingRename = null;
+    const recentlyDeleted = new Set();
+    // Chats deleteChats is announcing; it already forgot them, so the event handler doesn't
+    const deletingChats = new Set();
 
     // ========== SETTINGS ==========
 
     function getSettings() {
+        if (readOnlySettings) return readOnlySettings;
+
         const context = SillyTavern.getContext();
         const { extensionSettings } = context;
 
@@ -32,6 +85,8 @@
         }
 
         for (const key of Object.keys(defaultSettings)) {
+            // A missing schemaVersion marks legacy data; migrateSettings owns that field
+            if (key === 'schemaVersion') continue;
             if (!Object.hasOwn(extensionSettings[MODULE_NAME], key)) {
                 extensionSettings[MODULE_NAME][key] = structuredClone(defaultSettings[key]);
             }
@@ -41,23 +96,231 @@
     }
 
     function saveSettings() {
+        if (readOnlySettings) return;
         SillyTavern.getContext().saveSettingsDebounced();
     }
 
+    // Missing keys fall back to their defaults, so new options need no migration
+    function getOption(key) {
+        const options = getSettings().options || {};
+        return Object.hasOwn(options, key) ? options[key] : DEFAULT_OPTIONS[key];
+    }
+
+    function setOption(key, value) {
+        const settings = getSettings();
+        if (!settings.options) settings.options = { ...DEFAULT_OPTIONS };
+        settings.options[key] = value;
+        saveSettings();
+    }
+
+    // ========== MIGRATIONS ==========
+
+    // Upgrade steps in order; each runs once, taking the blob to schema `to`.
+    // Steps mutate the blob in place and must tolerate partially filled data.
+    const MIGRATIONS = [
+        {
+            to: 1,
+            description: 'Replace the 1.0.0 version string with a schema number',
+            migrate(data) {
+                delete data.version;
+            }
+        },
+        {
+            to: 2,
+            description: 'Subfolders: every folder gets a parentId and a numeric order',
+            migrate(data) {
+                for (const folderIds of Object.values(data.characterFolders || {})) {
+                    if (!Array.isArray(folderIds)) continue;
+                    folderIds.forEach((fid, i) => {
+                        const folder = data.folders && data.folders[fid];
+                        if (!folder) return;
+                        if (folder.parentId === undefined) folder.parentId = null;
+                        if (typeof folder.order !== 'number') folder.order = i;
+                    });
+                }
+            }
+        },
+        {
+            to: 3,
+            description: 'Auto-filing rules: global and per-character lists',
+            migrate(data) {
+                const rules = data.rules || {};
+                data.rules = {
+                    global: Array.isArray(rules.global) ? rules.global : [],
+                    characters: rules.characters || {},
+                    exempt: rules.exempt || {}
+                };
+            }
+        },
+        {
+            to: 4,
+            description: 'Smart folders: query-driven sections',
+            migrate(data) {
+                if (!Array.isArray(data.smartFolders)) data.smartFolders = [];
+            }
+        },
+        {
+            to: 5,
+            description: 'Per-section sort modes; "Your chats" settings per character',
+            migrate(data) {
+                if (!data.uncategorized || typeof data.uncategorized !== 'object') data.uncategorized = {};
+            }
+        },
+        {
+            to: 6,
+            description: 'Pinned chats: ordered list per character',
+            migrate(data) {
+                if (!data.pinned || typeof data.pinned !== 'object') data.pinned = {};
+            }
+        },
+        {
+            to: 7,
+            description: 'Folder appearance: color, icon and description',
+            migrate(data) {
+                Object.values(data.folders || {}).forEach(folder => {
+                    if (!folder || typeof folder !== 'object') return;
+                    if (folder.color === undefined) folder.color = null;
+                    if (folder.icon === undefined) folder.icon = null;
+                    if (folder.description === undefined) folder.description = '';
+                });
+            }
+        },
+        {
+            to: 8,
+            description: 'Chat tags per character; folder or tag view',
+            migrate(data) {
+                if (!data.chatTags || typeof data.chatTags !== 'object') data.chatTags = {};
+                if (data.viewMode !== 'tags') data.viewMode = 'folders';
+            }
+        },
+        {
+            to: 9,
+            description: 'Global folders shared by every character',
+            migrate(data) {
+                if (!data.globalFolders || typeof data.globalFolders !== 'object') data.globalFolders = {};
+            }
+        },
+        {
+            to: 10,
+            description: 'Options from the settings drawer',
+            migrate(data) {
+                data.options = { ...DEFAULT_OPTIONS, ...(data.options || {}) };
+            }
+        },
+        {
+            to: 11,
+            description: 'Archived chats per character',
+            migrate(data) {
+                if (!data.archived || typeof data.archived !== 'object') data.archived = {};
+                if (!data.archiveKeep || typeof data.archiveKeep !== 'object') data.archiveKeep = {};
+            }
+        },
+        {
+            to: 12,
+            description: 'Drop the popup check interval, the popup is watched instead of polled',
+            migrate(data) {
+                if (data.options && typeof data.options === 'object') delete data.options.heartbeatInterval;
+            }
+        },
+        {
+            to: 13,
+            description: 'When each chat was last opened, for auto-archiving',
+            migrate(data) {
+                if (!data.lastOpened || typeof data.lastOpened !== 'object') data.lastOpened = {};
+            }
+        }
+    ];
+
+    function getStoredSchemaVersion(data) {
+        return typeof data.schemaVersion === 'number' ? data.schemaVersion : 0;
+    }
+
+    // Runs once at load, before anything reads the settings. The previous blob is
+    // kept under BACKUP_KEY; data from a newer schema is left untouched.
+    function migrateSettings() {
+        const { extensionSettings } = SillyTavern.getContext();
+        const stored = extensionSettings[MODULE_NAME];
+        if (!stored) return;
+
+        const from = getStoredSchemaVersion(stored);
+        if (from === SCHEMA_VERSION) return;
+
+        if (from > SCHEMA_VERSION) {
+            readOnlySettings = structuredClone(stored);
+            console.error(`[TMC] Folder data uses schema ${from}, this version understands ${SCHEMA_VERSION}. Running read-only.`);
+            toastr.error(`Your folder data was saved by a newer version of ${EXTENSION_NAME}. Please update the extension — changes made now will not be saved.`, '', { timeOut: 0 });
+            return;
+        }
+
+        extensionSettings[BACKUP_KEY] = {
+            schemaVersion: from,
+            date: new Date().toISOString(),
+            data: structuredClone(stored)
+        };
+
+        try {
+            for (const step of MIGRATIONS) {
+                if (step.to <= from) continue;
+                step.migrate(stored);
+                stored.schemaVersion = step.to;
+            }
+        } catch (err) {
+            // Never leave a half-migrated blob behind: restore it and stay read-only this session
+            console.error('[TMC] Migration failed, restoring previous folder data:', err);
+            extensionSettings[MODULE_NAME] = structuredClone(extensionSettings[BACKUP_KEY].data);
+            readOnlySettings = structuredClone(extensionSettings[BACKUP_KEY].data);
+            toastr.error('Folder data could not be upgraded. Changes made now will not be saved.', '', { timeOut: 0 });
+            return;
+        }
+
+        saveSettings();
+    }
+
     // ========== HELPERS ==========
 
-    function generateId() {
-        return 'folder_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    function generateId(prefix = 'folder') {
+        return prefix + '_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    // Folder sets of groups live next to the characters' ones under "group:<id>"
+    const GROUP_KEY_PREFIX = 'group:';
+
+    function isGroupKey(characterId) {
+        return typeof characterId === 'string' && characterId.startsWith(GROUP_KEY_PREFIX);
+    }
+
+    function isGroup(owner) {
+        return !!owner && Array.isArray(owner.members);
+    }
+
+    function getOwnerKey(owner) {
+        return isGroup(owner) ? GROUP_KEY_PREFIX + owner.id : (owner.avatar || owner.name);
     }
 
+    // Key of the folder set to show: the open group, else the selected character.
+    // SillyTavern leaves characterId unset while a group is selected.
     function getCurrentCharacterId() {
         const context = SillyTavern.getContext();
+        if (context.groupId !== undefined && context.groupId !== null) {
+            return GROUP_KEY_PREFIX + context.groupId;
+        }
         if (context.characterId !== undefined && context.characters[context.characterId]) {
-            return context.characters[context.characterId].avatar || context.characters[context.characterId].name;
+            return getOwnerKey(context.characters[context.characterId]);
         }
         return null;
     }
 
+    // Looks up a character by the key its folders are stored under (avatar, or name
+    // as fallback), or the group object for a group key
+    function findCharacterByKey(characterId) {
+        const context = SillyTavern.getContext();
+        if (isGroupKey(characterId)) {
+            const groupId = characterId.slice(GROUP_KEY_PREFIX.length);
+            return (context.groups || []).find(g => String(g.id) === groupId) || null;
+        }
+        return context.characters.find(c => (c.avatar || c.name) === characterId) || null;
+    }
+
     function escapeHtml(text) {
         if (!text) return '';
         const div = document.createElement('div');
@@ -82,85 +345,336 @@
         }
     }
 
+    // 'relative' is the Today / Yesterday / weekday style of formatDate
+    function formatChatDate(date, format) {
+        switch (format) {
+            case 'relative': return formatDate(date);
+            case 'short': return date.toLocaleDateString();
+            case 'long': return date.toLocaleString();
+            case 'iso': {
+                const pad = (n) => String(n).padStart(2, '0');
+                return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+            }
+            default: return null;
+        }
+    }
+
     function extractChatTitle(fileName) {
         if (!fileName) return 'Untitled';
         // Remove .jsonl extension and clean up
         return fileName.replace(/\.jsonl$/i, '').trim() || 'Untitled';
     }
 
+    function downloadFile(content, fileName, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // ========== FOLDER TREE ==========
+
+    function getParentId(folder) {
+        return folder && folder.parentId ? folder.parentId : null;
+    }
+
+    // Folders directly under parentId (null = top level), sorted by their `order`.
+    // A folder whose parent no longer belongs to the character is treated as top level.
+    function getChildFolderIds(characterId, parentId) {
+        const settings = getSettings();
+        const folderIds = settings.characterFolders[characterId] || [];
+
+        return folderIds.filter(fid => {
+            const folder = settings.folders[fid];
+            if (!folder) return false;
+            const pid = getParentId(folder);
+            if (parentId === null) return pid === null || !folderIds.includes(pid);
+            return pid === parentId;
+        }).sort((a, b) => (settings.folders[a].order ?? 0) - (settings.folders[b].order ?? 0));
+    }
+
+    // Parent as rendered, i.e. null when the stored parent is gone
+    function getEffectiveParentId(characterId, folderId) {
+        const settings = getSettings();
+        const pid = getParentId(settings.folders[folderId]);
+        const folderIds = settings.characterFolders[characterId] || [];
+        return pid && folderIds.includes(pid) ? pid : null;
+    }
+
+    function writeFolderOrder(folderIds) {
+        const settings = getSettings();
+        folderIds.forEach((fid, i) => {
+            if (settings.folders[fid]) settings.folders[fid].order = i;
+        });
+    }
+
+    function getDescendantFolderIds(characterId, folderId) {
+        const result = [];
+        const stack = [folderId];
+        while (stack.length) {
+            const current = stack.pop();
+            for (const child of getChildFolderIds(characterId, current)) {
+                if (child === folderId || result.includes(child)) continue;
+                result.push(child);
+                stack.push(child);
+            }
+        }
+        return result;
+    }
+
+    // Depth-first list of { id, depth } in render order
+    function getFolderTree(characterId) {
+        const list = [];
+        const seen = new Set();
+        const visit = (parentId, depth) => {
+            for (const fid of getChildFolderIds(characterId, parentId)) {
+                if (seen.has(fid)) continue;
+                seen.add(fid);
+                list.push({ id: fid, depth });
+                visit(fid, depth + 1);
+            }
+        };
+        visit(null, 0);
+        return list;
+    }
+
+    const MAX_FOLDER_NAME_LENGTH = 60;
+
+    // Error message for a folder name, or '' when it's fine. Names must be unique
+    // among the character's folders and the global ones (case-insensitive), since
+    // slash commands and rules look folders up by name. Global folders pass the
+    // current character too: they show up next to its folders.
+    function validateFolderName(characterId, name, excludeId = null) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) return 'Please enter a name';
+        if (trimmed.length > MAX_FOLDER_NAME_LENGTH) return `Keep it under ${MAX_FOLDER_NAME_LENGTH + 1} characters`;
+
+        const wanted = trimmed.toLowerCase();
+        const clash = listFolderPaths(characterId)
+            .find(f => f.id !== excludeId && getAnyFolder(f.id).name.toLowerCase() === wanted);
+        return clash ? `There is already a folder called "${getAnyFolder(clash.id).name}"` : '';
+    }
+
+    // Nearest name validateFolderName accepts: cut to length, then " (2)", " (3)"...
+    function availableFolderName(characterId, name) {
+        const base = String(name || '').trim().slice(0, MAX_FOLDER_NAME_LENGTH).trim() || 'Untitled folder';
+        let candidate = base;
+        for (let n = 2; validateFolderName(characterId, candidate); n++) {
+            const suffix = ` (${n})`;
+            candidate = base.slice(0, MAX_FOLDER_NAME_LENGTH - suffix.length).trimEnd() + suffix;
+        }
+        return candidate;
+    }
+
+    async function promptNewFolder(parentId = null, global = false) {
+        const characterId = getCurrentCharacterId();
+        if (!global && !characterId) {
+            toastr.warning('Please select a character or group first');
+            return;
+        }
+        const parent = parentId ? getAnyFolder(parentId) : null;
+        const title = global ? 'New global folder' : parent ? `New subfolder in "${parent.name}"` : 'New folder';
+        const name = await showNameDialog(title, '', (value) => validateFolderName(characterId, value), 'Create');
+        if (!name) return;
+        recordHistory(`Create folder "${name}"`, () => global ? createGlobalFolder(name) : createFolder(name, parentId));
+    }
+
+    // Chats go back to "Your chats"; only the folders themselves are removed
+    async function confirmDeleteFolder(folderId) {
+        const folder = getAnyFolder(folderId);
+        if (!folder) return;
+        const label = escapeHtml(getOption('uncategorizedLabel') || 'Your chats');
 
-    function createFolder(name) {
+        let message;
+        if (isGlobalFolder(folderId)) {
+            const total = Object.values(folder.chats || {}).reduce((n, list) => n + list.length, 0);
+            message = `Delete global folder <b>${escapeHtml(folder.name)}</b>?<br>` +
+                `${total} chat(s) across all characters will return to "${label}".`;
+        } else {
+            const settings = getSettings();
+            const owner = getFolderOwner(folderId);
+            const subIds = owner ? getDescendantFolderIds(owner, folderId) : [];
+            const total = [folderId, ...subIds].reduce((n, id) => n + ((settings.folders[id] && settings.folders[id].chats) || []).length, 0);
+            const extra = subIds.length ? ` and its ${subIds.length} subfolder(s)` : '';
+            message = `Delete <b>${escapeHtml(folder.name)}</b>${extra}?<br>` +
+                `${total} chat(s) will return to "${label}". No chats are deleted.`;
+        }
+        if (!(await showConfirmDialog(message, 'Delete'))) return;
+        recordHistory(`Delete folder "${folder.name}"`, () => {
+            if (isGlobalFolder(folderId)) deleteGlobalFolder(folderId);
+            else deleteFolder(folderId);
+        });
+    }
+
+    function createFolder(name, parentId = null) {
         if (!name || !name.trim()) return;
         const settings = getSettings();
         const characterId = getCurrentCharacterId();
         if (!characterId) {
-            toastr.warning('Please select a character first');
+            toastr.warning('Please select a character or group first');
             return;
         }
 
+        const charFolderIds = settings.characterFolders[characterId] || [];
+        if (parentId && !charFolderIds.includes(parentId)) parentId = null;
+
         const folderId = generateId();
-        const existingCount = (settings.characterFolders[characterId] || []).length;
+        const existingCount = getChildFolderIds(characterId, parentId).length;
 
         settings.folders[folderId] = {
             name: name.trim(),
             chats: [],
-            collapsed: false,
-            order: existingCount
+            collapsed: !!getOption('defaultCollapsed'),
+            order: existingCount,
+            parentId,
+            color: null,
+            icon: null,
+            description: ''
         };
 
+        // Opening the parent makes the new subfolder visible straight away
+        if (parentId && settings.folders[parentId]) settings.folders[parentId].collapsed = false;
+
         if (!settings.characterFolders[characterId]) settings.characterFolders[characterId] = [];
         settings.characterFolders[characterId].push(folderId);
 
         saveSettings();
         scheduleSync();
+        return folderId;
     }
 
     function renameFolder(folderId, newName) {
         if (!newName || !newName.trim()) return;
-        const settings = getSettings();
-        if (settings.folders[folderId]) {
-            settings.folders[folderId].name = newName.trim();
+        const folder = getAnyFolder(folderId);
+        if (folder) {
+            folder.name = newName.trim();
             saveSettings();
             scheduleSync();
         }
     }
 
+    // Character whose folder set lists folderId, whichever character is selected now
+    function getFolderOwner(folderId) {
+        const settings = getSettings();
+        for (const [characterId, folderIds] of Object.entries(settings.characterFolders)) {
+            if (Array.isArray(folderIds) && folderIds.includes(folderId)) return characterId;
+        }
+        return null;
+    }
+
     function deleteFolder(folderId) {
         const settings = getSettings();
-        const characterId = getCurrentCharacterId();
-        if (!characterId) return;
+        const characterId = getFolderOwner(folderId);
+        if (!characterId) {
+            // Unowned folder: nothing links to it, just drop the data
+            delete settings.folders[folderId];
+            saveSettings();
+            scheduleSync();
+            return;
+        }
+
+        // Subfolders go with their parent; their chats return to "Your chats"
+        const doomed = [folderId, ...getDescendantFolderIds(characterId, folderId)];
 
         const charFolders = settings.characterFolders[characterId];
         if (charFolders) {
-            const idx = charFolders.indexOf(folderId);
-            if (idx > -1) charFolders.splice(idx, 1);
+            settings.characterFolders[characterId] = charFolders.filter(fid => !doomed.includes(fid));
         }
 
-        delete settings.folders[folderId];
+        const parentId = getEffectiveParentId(characterId, folderId);
+        doomed.forEach(fid => delete settings.folders[fid]);
+        writeFolderOrder(getChildFolderIds(characterId, parentId));
+        saveSettings();
+        scheduleSync();
+    }
+
+    // Places folderId next to targetId, becoming its sibling if it wasn't already
+    function placeFolder(folderId, targetId, after) {
+        const settings = getSettings();
+        const characterId = getCurrentCharacterId();
+        if (!characterId || folderId === targetId) return;
+        if (!settings.folders[folderId] || !settings.folders[targetId]) return;
+        // A folder can't be moved inside its own subtree
+        if (getDescendantFolderIds(characterId, folderId).includes(targetId)) return;
+
+        const oldParent = getEffectiveParentId(characterId, folderId);
+        const newParent = getEffectiveParentId(characterId, targetId);
+
+        const siblings = getChildFolderIds(characterId, newParent).filter(fid => fid !== folderId);
+        siblings.splice(siblings.indexOf(targetId) + (after ? 1 : 0), 0, folderId);
+
+        settings.folders[folderId].parentId = newParent;
+        writeFolderOrder(siblings);
+        if (oldParent !== newParent) writeFolderOrder(getChildFolderIds(characterId, oldParent));
+
+        saveSettings();
+        scheduleSync();
+    }
+
+    // Moves a folder one step up (-1) or down (+1) among its siblings
+    function shiftFolder(folderId, delta) {
+        if (isGlobalFolder(folderId)) return shiftGlobalFolder(folderId, delta);
+        const characterId = getCurrentCharacterId();
+        if (!characterId) return false;
+
+        const siblings = getChildFolderIds(characterId, getEffectiveParentId(characterId, folderId));
+        const idx = siblings.indexOf(folderId);
+        const newIdx = idx + delta;
+        if (idx < 0 || newIdx < 0 || newIdx >= siblings.length) return false;
+
+        siblings.splice(idx, 1);
+        siblings.splice(newIdx, 0, folderId);
+        writeFolderOrder(siblings);
+
         saveSettings();
         scheduleSync();
+        return true;
     }
 
-    function moveChat(fileName, targetFolderId) {
+    // Accepts one file name or an array of them; a batch costs a single save and sync
+    function moveChat(fileNames, targetFolderId) {
         const settings = getSettings();
         const characterId = getCurrentCharacterId();
         if (!characterId) return;
 
+        const files = Array.isArray(fileNames) ? fileNames : [fileNames];
+        if (files.length === 0) return;
+
+        if (targetFolderId === 'archive') {
+            archiveChats(characterId, files);
+            return;
+        }
+        releaseFromArchive(characterId, files);
+
         const allFolderIds = settings.characterFolders[characterId] || [];
         for (const fid of allFolderIds) {
             const folder = settings.folders[fid];
             if (folder && folder.chats) {
-                const idx = folder.chats.indexOf(fileName);
-                if (idx > -1) folder.chats.splice(idx, 1);
+                folder.chats = folder.chats.filter(f => !files.includes(f));
             }
         }
+        for (const folder of Object.values(settings.globalFolders)) {
+            const list = getGlobalChats(folder, characterId);
+            if (list.length) setGlobalChats(folder, characterId, list.filter(f => !files.includes(f)));
+        }
 
-        if (targetFolderId && targetFolderId !== 'uncategorized') {
+        if (targetFolderId && targetFolderId !== 'uncategorized' && allFolderIds.includes(targetFolderId)) {
             const folder = settings.folders[targetFolderId];
             if (folder) {
                 if (!folder.chats) folder.chats = [];
-                folder.chats.push(fileName);
+                folder.chats.push(...files);
+                // Filed by hand again, so auto-filing may consider them later
+                setRuleExemption(characterId, files, false);
             }
+        } else if (isGlobalFolder(targetFolderId)) {
+            const folder = settings.globalFolders[targetFolderId];
+            setGlobalChats(folder, characterId, [...getGlobalChats(folder, characterId), ...files]);
+            setRuleExemption(characterId, files, false);
         }
 
         saveSettings();
@@ -171,6 +685,7 @@
         const settings = getSettings();
         const characterId = getCurrentCharacterId();
         if (!characterId) return 'uncategorized';
+        if (isArchived(characterId, fileName)) return 'archive';
 
         const folderIds = settings.characterFolders[characterId] || [];
         for (const fid of folderIds) {
@@ -179,289 +694,4342 @@
                 return fid;
             }
         }
+        for (const fid of getGlobalFolderIds()) {
+            if (getGlobalChats(settings.globalFolders[fid], characterId).includes(fileName)) return fid;
+        }
         return 'uncategorized';
     }
 
-    // ========== SYNC ENGINE ==========
+    // ========== GLOBAL FOLDERS ==========
 
-    function scheduleSync() {
-        if (syncDebounceTimer) clearTimeout(syncDebounceTimer);
-        // PERFORMANCE FIX: Increased to 200ms to prevent UI lag
-        // 15ms was too aggressive and caused constant re-rendering
-        syncDebounceTimer = setTimeout(performSync, 200);
+    // Shown for every character. A global folder keeps one chat list per
+    // character: { name, collapsed, order, color, icon, description, sort,
+    // chats: { [characterId]: [fileNames] } }. A chat is either in one of its
+    // character's folders or in one global folder, never both.
+    const GLOBAL_FOLDER_ICON = 'fa-solid fa-globe';
+
+    function isGlobalFolder(folderId) {
+        return !!folderId && Object.hasOwn(getSettings().globalFolders, folderId);
     }
 
-    function performSync() {
-        try {
-            const popups = [
-                document.querySelector('#shadow_select_chat_popup'),
-                document.querySelector('#select_chat_popup')
-            ];
+    // Character folder or global folder, whichever has this id
+    function getAnyFolder(folderId) {
+        const settings = getSettings();
+        return settings.folders[folderId] || (isGlobalFolder(folderId) ? settings.globalFolders[folderId] : null);
+    }
 
-            const popup = popups.find(p => p && getComputedStyle(p).display !== 'none');
-            if (!popup) return;
+    function getGlobalFolderIds() {
+        const { globalFolders } = getSettings();
+        return Object.keys(globalFolders).sort((a, b) => (globalFolders[a].order ?? 0) - (globalFolders[b].order ?? 0));
+    }
 
-            const nativeBlocks = Array.from(popup.querySelectorAll('.select_chat_block:not(.tmc_proxy_block)'));
+    function getGlobalChats(folder, characterId) {
+        return (folder && folder.chats && folder.chats[characterId]) || [];
+    }
 
-            const chatData = nativeBlocks.map(block => {
-                const fileName = block.getAttribute('file_name') || block.title || block.innerText.split('\n')[0].trim();
-                // Try to extract date from the block
-                const dateEl = block.querySelector('.select_chat_block_date, [title*="20"]');
-                const dateStr = dateEl ? dateEl.textContent || dateEl.title : '';
+    function setGlobalChats(folder, characterId, files) {
+        if (!folder.chats || Array.isArray(folder.chats)) folder.chats = {};
+        if (files.length) folder.chats[characterId] = files;
+        else delete folder.chats[characterId];
+    }
 
-                return {
-                    element: block,
-                    fileName,
-                    title: extractChatTitle(fileName),
-                    date: formatDate(dateStr),
-                    html: block.innerHTML // Full native content with buttons
-                };
-            }).filter(d => d.fileName);
+    function createGlobalFolder(name) {
+        if (!name || !name.trim()) return;
+        const settings = getSettings();
+        const folderId = generateId('global');
+        settings.globalFolders[folderId] = {
+            name: name.trim(),
+            chats: {},
+            collapsed: !!getOption('defaultCollapsed'),
+            order: getGlobalFolderIds().length,
+            color: null,
+            icon: null,
+            description: ''
+        };
+        saveSettings();
+        scheduleSync();
+        return folderId;
+    }
 
-            let proxyRoot = popup.querySelector('#tmc_proxy_root');
-            if (!proxyRoot) {
-                proxyRoot = document.createElement('div');
-                proxyRoot.id = 'tmc_proxy_root';
+    // The chats of every character go back to their "Your chats"
+    function deleteGlobalFolder(folderId) {
+        const settings = getSettings();
+        delete settings.globalFolders[folderId];
+        getGlobalFolderIds().forEach((fid, i) => settings.globalFolders[fid].order = i);
+        saveSettings();
+        scheduleSync();
+    }
 
-                const body = popup.querySelector('.shadow_select_chat_popup_body') || popup;
-                const searchBar = popup.querySelector('input[type="search"], input[type="text"], .search_input');
+    function shiftGlobalFolder(folderId, delta) {
+        const ids = getGlobalFolderIds();
+        const idx = ids.indexOf(folderId);
+        const newIdx = idx + delta;
+        if (idx < 0 || newIdx < 0 || newIdx >= ids.length) return false;
 
-                if (searchBar && searchBar.parentNode) {
-                    const searchContainer = searchBar.closest('.shadow_select_chat_popup_header') || searchBar.parentNode;
-                    if (searchContainer.nextSibling) {
-                        searchContainer.parentNode.insertBefore(proxyRoot, searchContainer.nextSibling);
-                    } else {
-                        searchContainer.parentNode.appendChild(proxyRoot);
-                    }
-                } else {
-                    body.insertBefore(proxyRoot, body.firstChild);
+        ids.splice(idx, 1);
+        ids.splice(newIdx, 0, folderId);
+        const { globalFolders } = getSettings();
+        ids.forEach((fid, i) => globalFolders[fid].order = i);
+        saveSettings();
+        scheduleSync();
+        return true;
+    }
+
+    function getAvatarHtml(owner) {
+        if (!owner) return '<span class="tmc_avatar"><i class="fa-solid fa-user-slash"></i></span>';
+        if (isGroup(owner)) {
+            return owner.avatar_url
+                ? `<img class="tmc_avatar" src="${escapeHtml(owner.avatar_url)}" alt="">`
+                : '<span class="tmc_avatar"><i class="fa-solid fa-users"></i></span>';
+        }
+        const { getThumbnailUrl } = SillyTavern.getContext();
+        const src = typeof getThumbnailUrl === 'function'
+            ? getThumbnailUrl('avatar', owner.avatar)
+            : `/thumbnail?type=avatar&file=${encodeURIComponent(owner.avatar)}`;
+        return `<img class="tmc_avatar" src="${escapeHtml(src)}" alt="">`;
+    }
+
+    // Switches to the owning character (or group) first when needed
+    async function openChatOf(characterId, fileName) {
+        const context = SillyTavern.getContext();
+        const owner = findCharacterByKey(characterId);
+        if (!owner) {
+            toastr.error('That character no longer exists');
+            return false;
+        }
+
+        const chatId = extractChatTitle(fileName);
+        try {
+            if (isGroup(owner)) {
+                if (typeof context.openGroupChat !== 'function') throw new Error('openGroupChat is not available');
+                await context.openGroupChat(owner.id, chatId);
+            } else {
+                if (typeof context.openCharacterChat !== 'function') throw new Error('openCharacterChat is not available');
+                if (getCurrentCharacterId() !== characterId) {
+                    await context.selectCharacterById(String(context.characters.indexOf(owner)));
                 }
+                await context.openCharacterChat(chatId);
             }
+            return true;
+        } catch (err) {
+            console.error('[TMC] Could not open chat', characterId, fileName, err);
+            toastr.error('Could not open that chat');
+            return false;
+        }
+    }
 
-            const newTree = document.createDocumentFragment();
-            const characterId = getCurrentCharacterId();
-            const settings = getSettings();
+    // Every chat filed in the folder, for all characters, with a way to open it
+    async function showGlobalFolderOverview(folderId) {
+        const folder = getSettings().globalFolders[folderId];
+        if (!folder) return;
 
-            if (!characterId) {
-                proxyRoot.innerHTML = '<div style="padding:12px;opacity:0.6">Select a character</div>';
-                return;
-            }
+        const rows = Object.entries(folder.chats || {})
+            .flatMap(([characterId, files]) => {
+                const owner = findCharacterByKey(characterId);
+                return files.map(fileName => ({ characterId, owner, fileName }));
+            })
+            .sort((a, b) => (a.owner ? a.owner.name : a.characterId).localeCompare(b.owner ? b.owner.name : b.characterId));
 
-            const folderIds = settings.characterFolders[characterId] || [];
-            const folderContents = {};
+        const content = document.createElement('div');
+        content.className = 'tmc_dialog';
+        content.innerHTML = `
+            <h3>"${escapeHtml(folder.name)}" for all characters</h3>
+            ${rows.length === 0 ? '<p class="tmc_muted">No chats in this folder yet.</p>' : `
+            <div class="tmc_overview">
+                ${rows.map((row, i) => `
+                    <div class="tmc_overview_row">
+                        ${getAvatarHtml(row.owner)}
+                        <div class="tmc_overview_text">
+                            <span>${escapeHtml(extractChatTitle(row.fileName))}</span>
+                            <span class="tmc_muted">${escapeHtml(row.owner ? row.owner.name : `${row.characterId} (not found)`)}</span>
+                        </div>
+                        ${row.owner ? `<div class="menu_button" data-index="${i}" title="Open this chat"><i class="fa-solid fa-arrow-up-right-from-square"></i></div>` : ''}
+                    </div>`).join('')}
+            </div>`}
+        `;
 
-            folderIds.forEach(fid => {
-                const folder = settings.folders[fid];
-                if (!folder) return;
-                const section = createFolderDOM(fid, folder);
-                newTree.appendChild(section);
-                folderContents[fid] = section.querySelector('.tmc_content');
-            });
+        content.addEventListener('click', async (e) => {
+            const btn = e.target.closest('[data-index]');
+            if (!btn) return;
+            const row = rows[btn.dataset.index];
+            if (!(await openChatOf(row.characterId, row.fileName))) return;
+            content.closest('dialog')?.querySelector('.popup-button-ok')?.click();
+            document.querySelector('#select_chat_cross')?.click();
+        });
 
-            const uncatSection = createUncategorizedDOM();
-            newTree.appendChild(uncatSection);
-            folderContents['uncategorized'] = uncatSection.querySelector('.tmc_content');
+        await showInfoDialog(content);
+    }
 
-            chatData.forEach(chat => {
-                const fid = getFolderForChat(chat.fileName);
-                const container = folderContents[fid] || folderContents['uncategorized'];
-                const proxy = createProxyBlock(chat);
-                container.appendChild(proxy);
-            });
+    // ========== HISTORY ==========
 
-            Object.keys(folderContents).forEach(fid => {
-                const container = folderContents[fid];
-                const count = container.children.length;
-                const section = container.closest('.tmc_section');
+    // Session-only undo/redo for folder operations. An entry keeps the before and
+    // after value of every stored item the operation touched. Undo replays that
+    // change backwards onto the current value, one list entry and object key at
+    // a time, so changes made in between without a history entry (auto-filing,
+    // an import, the doctor) are kept: undoing "create folder A" removes A from
+    // the character's folder list, not folders created after it.
+    const HISTORY_LIMIT = 50;
+    const HISTORY_PATHS = [
+        ['folders'], ['characterFolders'], ['globalFolders'], ['uncategorized'], ['archived'], ['archiveKeep'], ['rules', 'exempt']
+    ];
+    const undoStack = [];
+    const redoStack = [];
+    let historyDepth = 0;
 
-                const badge = section.querySelector('.tmc_count');
-                if (badge) badge.textContent = count;
+    function getHistoryMap(settings, path) {
+        return path.reduce((obj, key) => obj && obj[key], settings) || {};
+    }
 
-                if (fid === 'uncategorized') {
-                    section.style.display = count > 0 ? '' : 'none';
-                }
-            });
+    function snapshotHistory() {
+        const settings = getSettings();
+        return HISTORY_PATHS.map(path => structuredClone(getHistoryMap(settings, path)));
+    }
 
-            proxyRoot.innerHTML = '';
-            proxyRoot.appendChild(newTree);
+    // Per tracked map, { key: [before, after] } for every key whose value changed
+    function diffHistory(before, after) {
+        const changes = before.map((oldMap, i) => {
+            const newMap = after[i];
+            const diff = {};
+            for (const key of new Set([...Object.keys(oldMap), ...Object.keys(newMap)])) {
+                if (JSON.stringify(oldMap[key]) !== JSON.stringify(newMap[key])) diff[key] = [oldMap[key], newMap[key]];
+            }
+            return diff;
+        });
+        return changes.some(diff => Object.keys(diff).length) ? changes : null;
+    }
 
-            injectAddButton(popup);
+    // Runs action as one undoable step; calls nested inside it fold into that step
+    function recordHistory(label, action) {
+        if (historyDepth > 0) return action();
 
-        } catch (err) {
-            console.error('[TMC] Sync Error:', err);
+        const before = snapshotHistory();
+        const characterId = getCurrentCharacterId();
+        historyDepth++;
+        let result;
+        try {
+            result = action();
+        } finally {
+            historyDepth--;
         }
+
+        const changes = diffHistory(before, snapshotHistory());
+        if (changes) {
+            undoStack.push({ label, characterId, changes });
+            if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+            redoStack.length = 0;
+            showHistoryToast(label, 'Undo', undoHistory);
+        }
+        return result;
     }
 
-    function createFolderDOM(fid, folder) {
-        const section = document.createElement('div');
-        section.className = 'tmc_section';
-        section.dataset.id = fid;
-        section.dataset.collapsed = folder.collapsed ? 'true' : 'false';
+    // Chats of a character that sit in one of its folders or a global folder
+    function getFiledChats(characterId) {
+        const settings = getSettings();
+        const files = new Set();
+        if (!characterId) return files;
+        for (const fid of settings.characterFolders[characterId] || []) {
+            ((settings.folders[fid] && settings.folders[fid].chats) || []).forEach(f => files.add(f));
+        }
+        for (const folder of Object.values(settings.globalFolders)) {
+            getGlobalChats(folder, characterId).forEach(f => files.add(f));
+        }
+        return files;
+    }
 
-        const header = document.createElement('div');
-        header.className = 'tmc_header';
-        header.innerHTML = `
-            <div class="tmc_header_left">
-                <span class="tmc_toggle"><i class="fa-solid fa-chevron-down"></i></span>
-                <span class="tmc_icon"><i class="fa-solid fa-folder"></i></span>
-                <span class="tmc_name">${escapeHtml(folder.name)}</span>
-                <span class="tmc_count">0</span>
+    const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+    // Turns current into what the change from -> to makes of it. Untouched since
+    // the change, it simply becomes to; otherwise only the list entries and keys
+    // the change added, removed or set are applied. undefined means "delete".
+    function mergeHistoryValue(current, from, to) {
+        const id = (value) => JSON.stringify(value);
+        if (id(current) === id(from)) return structuredClone(to);
+
+        if (Array.isArray(from) || Array.isArray(to)) {
+            const removed = new Set((from || []).map(id));
+            const result = (Array.isArray(current) ? current : []).filter(item => !removed.has(id(item)));
+            (to || []).forEach((item, i) => {
+                if (result.some(r => id(r) === id(item))) return;
+                // Right after the entry it followed, when that one is still there
+                const prev = i > 0 ? result.findIndex(r => id(r) === id(to[i - 1])) : -1;
+                result.splice(prev + 1, 0, structuredClone(item));
+            });
+            return result.length || to ? result : undefined;
+        }
+
+        if (isPlainObject(from) || isPlainObject(to)) {
+            const before = isPlainObject(from) ? from : {};
+            const after = isPlainObject(to) ? to : {};
+            const result = isPlainObject(current) ? { ...current } : {};
+            for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+                if (id(before[key]) === id(after[key])) continue;
+                const value = mergeHistoryValue(result[key], before[key], after[key]);
+                if (value === undefined) delete result[key];
+                else result[key] = value;
+            }
+            return Object.keys(result).length || to ? result : undefined;
+        }
+
+        return structuredClone(to);
+    }
+
+    // side 0 restores the state before the entry, side 1 the state after it
+    function applyHistory(entry, side) {
+        const settings = getSettings();
+        const filed = getFiledChats(entry.characterId);
+
+        HISTORY_PATHS.forEach((path, i) => {
+            const map = getHistoryMap(settings, path);
+            for (const [key, values] of Object.entries(entry.changes[i])) {
+                const value = mergeHistoryValue(map[key], values[1 - side], values[side]);
+                if (value === undefined) delete map[key];
+                else map[key] = value;
+            }
+        });
+
+        // Chats sent back to "Your chats" count as put there by hand, so
+        // auto-filing doesn't file them again straight away
+        const stillFiled = getFiledChats(entry.characterId);
+        setRuleExemption(entry.characterId, [...filed].filter(f => !stillFiled.has(f)), true);
+
+        saveSettings();
+        scheduleSync();
+    }
+
+    function undoHistory() {
+        const entry = undoStack.pop();
+        if (!entry) {
+            toastr.info('Nothing to undo');
+            return;
+        }
+        applyHistory(entry, 0);
+        redoStack.push(entry);
+        showHistoryToast(`Undone: ${entry.label}`, 'Redo', redoHistory);
+    }
+
+    function redoHistory() {
+        const entry = redoStack.pop();
+        if (!entry) {
+            toastr.info('Nothing to redo');
+            return;
+        }
+        applyHistory(entry, 1);
+        undoStack.push(entry);
+        showHistoryToast(`Redone: ${entry.label}`, 'Undo', undoHistory);
+    }
+
+    function showHistoryToast(message, actionLabel, action) {
+        toastr.info(
+            `${escapeHtml(message)} <button type="button" class="menu_button tmc_toast_action">${actionLabel}</button>`,
+            '',
+            { timeOut: 6000, extendedTimeOut: 3000, onclick: action }
+        );
+    }
+
+    // Name of a move target as the user sees it
+    function getFolderLabel(folderId) {
+        if (folderId === 'archive') return 'Archive';
+        const folder = folderId && folderId !== 'uncategorized' ? getAnyFolder(folderId) : null;
+        return folder ? folder.name : getOption('uncategorizedLabel');
+    }
+
+    // Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y, bound only while the chat list is open; text fields keep their own undo
+    function onHistoryShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const key = e.key.toLowerCase();
+        const redo = key === 'y' || (key === 'z' && e.shiftKey);
+        if (key !== 'z' && !redo) return;
+        if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+        e.preventDefault();
+        if (redo) redoHistory();
+        else undoHistory();
+    }
+
+    // ========== SYNC ENGINE ==========
+
+    // SillyTavern opens and closes the popup through its inline display. The
+    // computed one can't tell: on mobile our CSS forces it with !important.
+    function isPopupOpen(popup) {
+        return !!popup.style.display && popup.style.display !== 'none';
+    }
+
+    function getOpenChatPopup() {
+        const popups = [
+            document.querySelector('#shadow_select_chat_popup'),
+            document.querySelector('#select_chat_popup')
+        ];
+        return popups.find(p => p && isPopupOpen(p)) || null;
+    }
+
+    function scheduleSync() {
+        if (syncDebounceTimer) clearTimeout(syncDebounceTimer);
+        // PERFORMANCE FIX: Increased to 200ms to prevent UI lag
+        // 15ms was too aggressive and caused constant re-rendering
+        syncDebounceTimer = setTimeout(performSync, getOption('syncDelay'));
+    }
+
+    function performSync() {
+        try {
+            const popup = getOpenChatPopup();
+            if (!popup) return;
+
+            // Turned off in the settings: leave SillyTavern's own list alone
+            if (!getOption('enabled')) {
+                popup.querySelector('#tmc_proxy_root')?.remove();
+                return;
+            }
+
+            const nativeBlocks = Array.from(popup.querySelectorAll('.select_chat_block:not(.tmc_proxy_block)'));
+
+            const chatData = nativeBlocks.map(block => {
+                const fileName = getBlockFileName(block);
+                // Try to extract date from the block
+                const dateEl = block.querySelector('.select_chat_block_date, [title*="20"]');
+                const dateStr = dateEl ? dateEl.textContent || dateEl.title : '';
+
+                return {
+                    element: block,
+                    fileName,
+                    title: extractChatTitle(fileName),
+                    date: formatDate(dateStr),
+                    rawDate: dateStr,
+                    fingerprint: getChatFingerprint(block),
+                    html: block.innerHTML // Full native content with buttons
+                };
+            }).filter(d => d.fileName);
+
+            if (detectRenames(getCurrentCharacterId(), chatData)) saveSettings();
+            pruneSelection(chatData.map(d => d.fileName));
+
+            let proxyRoot = popup.querySelector('#tmc_proxy_root');
+            if (!proxyRoot) {
+                proxyRoot = document.createElement('div');
+                proxyRoot.id = 'tmc_proxy_root';
+                initDropZone(proxyRoot);
+                initTreeKeyboard(proxyRoot);
+
+                const body = popup.querySelector('.shadow_select_chat_popup_body') || popup;
+                const searchBar = popup.querySelector(SEARCH_INPUT_SELECTOR);
+
+                if (searchBar && searchBar.parentNode) {
+                    const searchContainer = searchBar.closest('.shadow_select_chat_popup_header') || searchBar.parentNode;
+                    if (searchContainer.nextSibling) {
+                        searchContainer.parentNode.insertBefore(proxyRoot, searchContainer.nextSibling);
+                    } else {
+                        searchContainer.parentNode.appendChild(proxyRoot);
+                    }
+                } else {
+                    body.insertBefore(proxyRoot, body.firstChild);
+                }
+            }
+
+            const characterId = getCurrentCharacterId();
+            if (!characterId) {
+                proxyRoot.innerHTML = '<div style="padding:12px;opacity:0.6">Select a character or group</div>';
+                return;
+            }
+
+            refreshChatMeta(characterId, chatData.map(d => d.fileName));
+            queueAutoFiling(characterId, chatData.map(d => d.fileName));
+            autoArchive(characterId, chatData.map(d => d.fileName));
+
+            rememberHeaderFocus(proxyRoot);
+            renderTree(proxyRoot, characterId, chatData);
+            initSearch(popup);
+            applySearch(proxyRoot, parseSearchQuery(getSearchText(popup)));
+            refreshSelectionUI(proxyRoot);
+            restorePendingFocus(proxyRoot);
+
+            injectHeaderButtons(popup, characterId);
+
+        } catch (err) {
+            console.error('[TMC] Sync Error:', err);
+        }
+    }
+
+    // Pinned section, then the folder or tag view, patched into root
+    function renderTree(root, characterId, chatData) {
+        const newTree = document.createDocumentFragment();
+        const settings = getSettings();
+
+        pruneTagFilter(characterId);
+        const visibleChats = chatData.filter(chat => chatMatchesTagFilter(characterId, chat.fileName) &&
+            (showArchived || !isArchived(characterId, chat.fileName)));
+
+        const pinnedSection = createPinnedDOM();
+        newTree.appendChild(pinnedSection);
+        const pinnedContent = pinnedSection.querySelector('.tmc_content');
+
+        const pinnedChats = getPinnedChats(characterId);
+        const pinnedGrouped = visibleChats.filter(chat => pinnedChats.includes(chat.fileName));
+        sortChats(pinnedGrouped, 'manual', pinnedChats)
+            .forEach(chat => pinnedContent.appendChild(createProxyBlock(chat)));
+        pinnedSection.querySelector(':scope > .tmc_header .tmc_count').textContent = pinnedGrouped.length;
+        pinnedSection.style.display = pinnedGrouped.length > 0 ? '' : 'none';
+
+        if (settings.viewMode === 'tags') buildTagView(newTree, characterId, visibleChats);
+        else buildFolderView(newTree, characterId, visibleChats);
+
+        virtualizeTree(newTree);
+        root.classList.toggle('tmc_hide_empty', !!getOption('hideEmptyFolders'));
+        root.classList.toggle('tmc_no_counts', !getOption('showCounts'));
+        patchChildren(root, newTree);
+        root.querySelectorAll('.tmc_virtual').forEach(renderVirtualList);
+    }
+
+    // Folders, smart folders and "Your chats" below the pinned section
+    function buildFolderView(newTree, characterId, chatData) {
+        const settings = getSettings();
+        const folderContents = {};
+
+        // Subfolder sections live inside their parent's content, ahead of its chats
+        getFolderTree(characterId).forEach(({ id: fid, depth }) => {
+            const folder = settings.folders[fid];
+            const section = createFolderDOM(fid, folder, depth);
+            const parentContent = folderContents[getParentId(folder)] || newTree;
+            parentContent.appendChild(section);
+            folderContents[fid] = section.querySelector('.tmc_content');
+        });
+
+        getGlobalFolderIds().forEach(fid => {
+            const section = createGlobalFolderDOM(fid, settings.globalFolders[fid]);
+            newTree.appendChild(section);
+            folderContents[fid] = section.querySelector('.tmc_content');
+        });
+
+        const smartContents = getSmartFolders(characterId).map(smart => {
+            const section = createSmartFolderDOM(smart);
+            newTree.appendChild(section);
+            return { smart, content: section.querySelector('.tmc_content') };
+        });
+
+        const uncatSection = createUncategorizedDOM();
+        newTree.appendChild(uncatSection);
+        folderContents['uncategorized'] = uncatSection.querySelector('.tmc_content');
+
+        if (showArchived) {
+            const archiveSection = createArchiveDOM();
+            newTree.appendChild(archiveSection);
+            folderContents['archive'] = archiveSection.querySelector('.tmc_content');
+        }
+
+        const grouped = {};
+        const smartGrouped = smartContents.map(() => []);
+        chatData.forEach(chat => {
+            let fid = getFolderForChat(chat.fileName);
+            if (!folderContents[fid]) fid = 'uncategorized';
+            (grouped[fid] = grouped[fid] || []).push(chat);
+
+            smartContents.forEach(({ smart }, i) => {
+                if (smartFolderMatches(smart.query, chat.fileName)) smartGrouped[i].push(chat);
+            });
+        });
+
+        // Each section sorts its own chats; subfolder sections stay ahead of them
+        Object.entries(grouped).forEach(([fid, chats]) => {
+            sortChats(chats, getSortMode(characterId, fid), getManualOrder(characterId, fid))
+                .forEach(chat => folderContents[fid].appendChild(createProxyBlock(chat)));
+        });
+        smartContents.forEach(({ smart, content }, i) => {
+            sortChats(smartGrouped[i], getSortMode(characterId, smart.id))
+                .forEach(chat => content.appendChild(createProxyBlock(chat)));
+        });
+
+        smartContents.forEach(({ content }) => {
+            const section = content.closest('.tmc_section');
+            const badge = section.querySelector(':scope > .tmc_header .tmc_count');
+            if (badge) badge.textContent = content.children.length;
+            section.classList.toggle('tmc_empty', content.children.length === 0);
+        });
+
+        Object.keys(folderContents).forEach(fid => {
+            const container = folderContents[fid];
+            // Nested sections are inside the container, so this rolls up subfolder chats
+            const count = container.querySelectorAll('.tmc_proxy_block').length;
+            const section = container.closest('.tmc_section');
+
+            const badge = section.querySelector(':scope > .tmc_header .tmc_count');
+            if (badge) badge.textContent = count;
+
+            if (fid === 'uncategorized') {
+                section.style.display = count > 0 ? '' : 'none';
+            } else {
+                section.classList.toggle('tmc_empty', count === 0);
+            }
+        });
+    }
+
+    // Character chat blocks carry a file_name attribute. Group chat blocks may only
+    // show the chat id in their title line, depending on the SillyTavern version.
+    function getBlockFileName(block) {
+        const title = block.querySelector('.select_chat_block_filename');
+        return block.getAttribute('file_name') ||
+            (title && title.textContent.trim()) ||
+            block.title ||
+            block.innerText.split('\n')[0].trim();
+    }
+
+    function createFolderDOM(fid, folder, depth = 0) {
+        const section = document.createElement('div');
+        section.className = depth > 0 ? 'tmc_section tmc_subfolder' : 'tmc_section';
+        section.dataset.id = fid;
+        // Marks the character folders, the only sections folders can be dropped next to
+        section.dataset.folderId = fid;
+        section.dataset.depth = depth;
+        section.dataset.collapsed = folder.collapsed ? 'true' : 'false';
+        applyFolderColor(section, folder.color);
+
+        const header = document.createElement('div');
+        header.className = 'tmc_header';
+        header.tabIndex = 0;
+        header.setAttribute('role', 'button');
+        header.setAttribute('aria-expanded', folder.collapsed ? 'false' : 'true');
+        header.title = folder.description ? `${folder.description}\n\nAlt+↑/↓ to reorder` : 'Alt+↑/↓ to reorder';
+        header.innerHTML = `
+            <div class="tmc_header_left">
+                <input type="checkbox" class="tmc_select_all" title="Select all in folder">
+                <span class="tmc_toggle"><i class="fa-solid fa-chevron-down"></i></span>
+                <span class="tmc_icon"><i class="${getFolderIconClass(folder)}"></i></span>
+                <span class="tmc_name">${escapeHtml(folder.name)}</span>
+                <span class="tmc_count">0</span>
+                ${folder.description ? `<span class="tmc_desc">${escapeHtml(folder.description)}</span>` : ''}
+            </div>
+            <div class="tmc_header_right">
+                <span class="tmc_btn tmc_sort" title="Sort chats" tabindex="0" role="button"><i class="fa-solid fa-arrow-down-wide-short"></i></span>
+                <span class="tmc_btn tmc_up" title="Move up" tabindex="0" role="button"><i class="fa-solid fa-arrow-up"></i></span>
+                <span class="tmc_btn tmc_down" title="Move down" tabindex="0" role="button"><i class="fa-solid fa-arrow-down"></i></span>
+                <span class="tmc_btn tmc_sub" title="New Subfolder" tabindex="0" role="button"><i class="fa-solid fa-folder-plus"></i></span>
+                <span class="tmc_btn tmc_edit" title="Edit folder" tabindex="0" role="button"><i class="fa-solid fa-pencil"></i></span>
+                <span class="tmc_btn tmc_del" title="Delete" tabindex="0" role="button"><i class="fa-solid fa-trash"></i></span>
+            </div>
+        `;
+
+        header.querySelector('.tmc_header_left').onclick = () => {
+            const s = getSettings();
+            if (s.folders[fid]) {
+                s.folders[fid].collapsed = !s.folders[fid].collapsed;
+                saveSettings();
+                scheduleSync();
+            }
+        };
+
+        attachSortButton(header);
+
+        header.querySelector('.tmc_up').onclick = (e) => {
+            e.stopPropagation();
+            pendingFocus = { folderId: fid, selector: '.tmc_up' };
+            shiftFolder(fid, -1);
+        };
+
+        header.querySelector('.tmc_down').onclick = (e) => {
+            e.stopPropagation();
+            pendingFocus = { folderId: fid, selector: '.tmc_down' };
+            shiftFolder(fid, 1);
+        };
+
+        header.draggable = true;
+        header.addEventListener('dragstart', (e) => {
+            e.stopPropagation();
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData(FOLDER_DRAG_MIME, fid);
+            folderDrag = { folderId: fid, sourceEl: header.parentElement, hoverHeader: null, after: false };
+            header.parentElement.classList.add('tmc_dragging_folder');
+        });
+        header.addEventListener('dragend', () => endFolderDrag(false));
+
+        header.querySelector('.tmc_sub').onclick = (e) => {
+            e.stopPropagation();
+            promptNewFolder(fid);
+        };
+
+        header.querySelector('.tmc_edit').onclick = (e) => {
+            e.stopPropagation();
+            editFolder(fid);
+        };
+
+        header.querySelector('.tmc_del').onclick = (e) => {
+            e.stopPropagation();
+            confirmDeleteFolder(fid);
+        };
+
+        attachSelectAll(header);
+
+        const content = document.createElement('div');
+        content.className = 'tmc_content';
+        content.style.display = folder.collapsed ? 'none' : '';
+
+        section.appendChild(header);
+        section.appendChild(content);
+        return section;
+    }
+
+    // Same header as a top-level folder, minus subfolders and dragging, plus a
+    // button for the all-characters overview
+    function createGlobalFolderDOM(fid, folder) {
+        const section = document.createElement('div');
+        section.className = 'tmc_section tmc_global';
+        section.dataset.id = fid;
+        section.dataset.collapsed = folder.collapsed ? 'true' : 'false';
+        applyFolderColor(section, folder.color);
+
+        const header = document.createElement('div');
+        header.className = 'tmc_header';
+        header.tabIndex = 0;
+        header.setAttribute('role', 'button');
+        header.setAttribute('aria-expanded', folder.collapsed ? 'false' : 'true');
+        header.title = folder.description ? `${folder.description}\n\nGlobal folder, shown for every character` : 'Global folder, shown for every character';
+        header.innerHTML = `
+            <div class="tmc_header_left">
+                <input type="checkbox" class="tmc_select_all" title="Select all in folder">
+                <span class="tmc_toggle"><i class="fa-solid fa-chevron-down"></i></span>
+                <span class="tmc_icon"><i class="${getFolderIconClass(folder, GLOBAL_FOLDER_ICON)}"></i></span>
+                <span class="tmc_name">${escapeHtml(folder.name)}</span>
+                <span class="tmc_count">0</span>
+                ${folder.description ? `<span class="tmc_desc">${escapeHtml(folder.description)}</span>` : ''}
+            </div>
+            <div class="tmc_header_right">
+                <span class="tmc_btn tmc_sort" title="Sort chats" tabindex="0" role="button"><i class="fa-solid fa-arrow-down-wide-short"></i></span>
+                <span class="tmc_btn tmc_overview_btn" title="All characters" tabindex="0" role="button"><i class="fa-solid fa-users"></i></span>
+                <span class="tmc_btn tmc_up" title="Move up" tabindex="0" role="button"><i class="fa-solid fa-arrow-up"></i></span>
+                <span class="tmc_btn tmc_down" title="Move down" tabindex="0" role="button"><i class="fa-solid fa-arrow-down"></i></span>
+                <span class="tmc_btn tmc_edit" title="Edit folder" tabindex="0" role="button"><i class="fa-solid fa-pencil"></i></span>
+                <span class="tmc_btn tmc_del" title="Delete" tabindex="0" role="button"><i class="fa-solid fa-trash"></i></span>
+            </div>
+        `;
+
+        header.querySelector('.tmc_header_left').onclick = () => {
+            folder.collapsed = !folder.collapsed;
+            saveSettings();
+            scheduleSync();
+        };
+
+        attachSortButton(header);
+
+        header.querySelector('.tmc_overview_btn').onclick = (e) => {
+            e.stopPropagation();
+            showGlobalFolderOverview(fid);
+        };
+
+        header.querySelector('.tmc_up').onclick = (e) => {
+            e.stopPropagation();
+            pendingFocus = { folderId: fid, selector: '.tmc_up' };
+            shiftGlobalFolder(fid, -1);
+        };
+
+        header.querySelector('.tmc_down').onclick = (e) => {
+            e.stopPropagation();
+            pendingFocus = { folderId: fid, selector: '.tmc_down' };
+            shiftGlobalFolder(fid, 1);
+        };
+
+        header.querySelector('.tmc_edit').onclick = (e) => {
+            e.stopPropagation();
+            editFolder(fid);
+        };
+
+        header.querySelector('.tmc_del').onclick = (e) => {
+            e.stopPropagation();
+            confirmDeleteFolder(fid);
+        };
+
+        attachSelectAll(header);
+
+        const content = document.createElement('div');
+        content.className = 'tmc_content';
+        content.style.display = folder.collapsed ? 'none' : '';
+
+        section.appendChild(header);
+        section.appendChild(content);
+        return section;
+    }
+
+    function createSmartFolderDOM(smart) {
+        const section = document.createElement('div');
+        section.className = 'tmc_section tmc_smart';
+        section.dataset.id = smart.id;
+        section.dataset.collapsed = smart.collapsed ? 'true' : 'false';
+
+        const header = document.createElement('div');
+        header.className = 'tmc_header';
+        header.tabIndex = 0;
+        header.setAttribute('role', 'button');
+        header.setAttribute('aria-expanded', smart.collapsed ? 'false' : 'true');
+        header.title = describeSmartQuery(smart.query);
+        header.innerHTML = `
+            <div class="tmc_header_left">
+                <input type="checkbox" class="tmc_select_all" title="Select all in folder">
+                <span class="tmc_toggle"><i class="fa-solid fa-chevron-down"></i></span>
+                <span class="tmc_icon"><i class="fa-solid fa-bolt"></i></span>
+                <span class="tmc_name">${escapeHtml(smart.name)}</span>
+                <span class="tmc_count">0</span>
             </div>
             <div class="tmc_header_right">
-                <span class="tmc_btn tmc_edit" title="Rename"><i class="fa-solid fa-pencil"></i></span>
-                <span class="tmc_btn tmc_del" title="Delete"><i class="fa-solid fa-trash"></i></span>
+                <span class="tmc_btn tmc_sort" title="Sort chats" tabindex="0" role="button"><i class="fa-solid fa-arrow-down-wide-short"></i></span>
+                <span class="tmc_btn tmc_edit" title="Edit query" tabindex="0" role="button"><i class="fa-solid fa-pencil"></i></span>
+                <span class="tmc_btn tmc_del" title="Delete" tabindex="0" role="button"><i class="fa-solid fa-trash"></i></span>
+            </div>
+        `;
+
+        header.querySelector('.tmc_header_left').onclick = () => {
+            smart.collapsed = !smart.collapsed;
+            saveSettings();
+            scheduleSync();
+        };
+
+        header.querySelector('.tmc_edit').onclick = (e) => {
+            e.stopPropagation();
+            editSmartFolder(smart);
+        };
+
+        attachSortButton(header);
+
+        header.querySelector('.tmc_del').onclick = (e) => {
+            e.stopPropagation();
+            showConfirmDialog(`Delete smart folder <b>${escapeHtml(smart.name)}</b>? Chats are not affected.`, 'Delete')
+                .then(ok => ok && deleteSmartFolder(smart.id));
+        };
+
+        attachSelectAll(header);
+
+        const content = document.createElement('div');
+        content.className = 'tmc_content';
+        content.style.display = smart.collapsed ? 'none' : '';
+
+        section.appendChild(header);
+        section.appendChild(content);
+        return section;
+    }
+
+    // Pins are copies of the chats' proxies, so no toggle or sort: the order is the pin order
+    function createPinnedDOM() {
+        const section = document.createElement('div');
+        section.className = 'tmc_section tmc_pinned';
+        section.dataset.id = 'pinned';
+
+        const header = document.createElement('div');
+        header.className = 'tmc_header';
+        header.title = 'Drag pinned chats to change their order';
+        header.innerHTML = `
+            <div class="tmc_header_left">
+                <input type="checkbox" class="tmc_select_all" title="Select all pinned">
+                <span class="tmc_icon"><i class="fa-solid fa-thumbtack"></i></span>
+                <span class="tmc_name">Pinned</span>
+                <span class="tmc_count">0</span>
+            </div>
+        `;
+
+        attachSelectAll(header);
+
+        const content = document.createElement('div');
+        content.className = 'tmc_content';
+
+        section.appendChild(header);
+        section.appendChild(content);
+        return section;
+    }
+
+    function createUncategorizedDOM() {
+        const section = document.createElement('div');
+        section.className = 'tmc_section tmc_uncat';
+        section.dataset.id = 'uncategorized';
+
+        const header = document.createElement('div');
+        header.className = 'tmc_header';
+        header.innerHTML = `
+            <div class="tmc_header_left">
+                <input type="checkbox" class="tmc_select_all" title="Select all in folder">
+                <span class="tmc_icon"><i class="fa-regular fa-comments"></i></span>
+                <span class="tmc_name">${escapeHtml(getOption('uncategorizedLabel'))}</span>
+                <span class="tmc_count">0</span>
+            </div>
+            <div class="tmc_header_right">
+                <span class="tmc_btn tmc_sort" title="Sort chats" tabindex="0" role="button"><i class="fa-solid fa-arrow-down-wide-short"></i></span>
+            </div>
+        `;
+
+        attachSelectAll(header);
+        attachSortButton(header);
+
+        const content = document.createElement('div');
+        content.className = 'tmc_content';
+
+        section.appendChild(header);
+        section.appendChild(content);
+        return section;
+    }
+
+    // Placeholder used while a tree is built; patchChildren swaps it for the block
+    // already on screen or a freshly built one
+    function createProxyBlock(chatData) {
+        const el = document.createElement('div');
+        el.className = 'select_chat_block tmc_proxy_block';
+        el.setAttribute('file_name', chatData.fileName);
+        proxyStubs.set(el, chatData);
+        return el;
+    }
+
+    // Proxy block with FULL native content (buttons, preview, etc.)
+    function buildProxyBlock(chatData) {
+        const el = document.createElement('div');
+        el.className = 'select_chat_block tmc_proxy_block';
+        // Reused blocks get the latest scrape, whose native element may be a new one
+        proxyChats.set(el, chatData);
+        proxySignatures.set(el, getProxySignature(chatData));
+
+        // Use full native HTML content (includes preview, buttons, etc.)
+        el.innerHTML = chatData.html;
+        el.title = chatData.fileName;
+        el.setAttribute('file_name', chatData.fileName);
+
+        // FIX: Move pencil icon to the right side with other action buttons
+        const pencilBtn = el.querySelector('.renameChatButton');
+        const actionContainer = el.querySelector('.flex-container.gap10px') ||
+            el.querySelector('[class*="action"]') ||
+            el.querySelector('.select_chat_info')?.parentElement;
+        if (pencilBtn && actionContainer) {
+            // Move pencil to the action container (right side)
+            actionContainer.insertBefore(pencilBtn, actionContainer.firstChild);
+        }
+
+        const dateEl = el.querySelector('.select_chat_block_date');
+        const dateText = getProxyDateText(chatData);
+        if (dateEl && dateText) dateEl.textContent = dateText;
+
+        const tags = getChatTags(getCurrentCharacterId(), chatData.fileName);
+        if (tags.length) el.appendChild(createTagChips(tags));
+
+        // Intercept main click (not on buttons)
+        el.addEventListener('click', (e) => {
+            // Modifier clicks build a selection instead of opening the chat
+            if (e.ctrlKey || e.metaKey || e.shiftKey) {
+                e.preventDefault();
+                e.stopPropagation();
+                if (e.shiftKey) selectRange(el);
+                else toggleChatSelection(chatData.fileName);
+                refreshSelectionUI(el.closest('#tmc_proxy_root'));
+                return;
+            }
+            // Don't intercept if clicking on action buttons
+            if (e.target.closest('.renameChatButton, .select_chat_block_action, .mes_edit, .mes_delete, .mes_export, button, a, [class*="export"], [class*="delete"], [class*="download"]')) {
+                if (e.target.closest('.renameChatButton')) pendingRename = chatData.fileName;
+                // Find corresponding button in hidden original and click it
+                const clickedClass = e.target.closest('[class]')?.className;
+                if (clickedClass) {
+                    const originalBtn = proxyChats.get(el).element.querySelector('.' + clickedClass.split(' ')[0]);
+                    if (originalBtn) {
+                        originalBtn.click();
+                        return;
+                    }
+                }
+            }
+            // Otherwise load the chat
+            proxyChats.get(el).element.click();
+        });
+
+        el.oncontextmenu = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            // Android fires contextmenu during a long-press drag; touchend opens the menu instead
+            if (dragState && dragState.sourceEl === el) return;
+            showContextMenu(e, chatData.fileName);
+        };
+
+        el.draggable = true;
+        el.addEventListener('dragstart', (e) => {
+            e.dataTransfer.effectAllowed = 'move';
+            const files = getActionTargets(chatData.fileName);
+            e.dataTransfer.setData(DRAG_MIME, files.join('\n'));
+            e.dataTransfer.setData('text/plain', files.join('\n'));
+            startDrag(files, el);
+        });
+        el.addEventListener('dragend', () => endDrag(false));
+        attachTouchDrag(el, chatData.fileName);
+
+        return el;
+    }
+
+    // New Folder, tag and archive buttons in the popup header
+    function injectHeaderButtons(popup, characterId) {
+        injectAddButton(popup);
+        refreshTagButton(popup, characterId);
+        refreshArchiveButton(popup, characterId);
+    }
+
+    function injectAddButton(popup) {
+        if (popup.querySelector('.tmc_add_btn')) return;
+
+        // FIX: Use correct selector - native SillyTavern uses [name="selectChatPopupHeader"]
+        const headerRow = popup.querySelector('[name="selectChatPopupHeader"]') ||
+            popup.querySelector('.flex-container.alignitemscenter') ||
+            popup.querySelector('h3');
+        if (!headerRow) {
+            console.warn('[TMC] Could not find header row for New Folder button');
+            return;
+        }
+
+        const btn = document.createElement('div');
+        btn.className = 'tmc_add_btn';  // Remove menu_button to avoid conflicts
+        btn.innerHTML = '<i class="fa-solid fa-folder-plus"></i> New Folder';
+        btn.title = 'Create New Folder';
+        // Apply full inline styles to ensure they work regardless of specificity
+        btn.style.cssText = `
+            display: flex !important;
+            align-items: center !important;
+            gap: 5px !important;
+            padding: 5px 10px !important;
+            margin: 0 5px !important;
+            background: var(--SmartThemeBlurTintColor, rgba(0,0,0,0.3)) !important;
+            border: 1px solid var(--SmartThemeBorderColor, #555) !important;
+            border-radius: 5px !important;
+            color: var(--SmartThemeBodyColor, #fff) !important;
+            font-size: 13px !important;
+            cursor: pointer !important;
+            white-space: nowrap !important;
+        `;
+        btn.onmouseenter = () => {
+            btn.style.background = 'var(--SmartThemeQuoteColor, rgba(100,100,100,0.5))';
+        };
+        btn.onmouseleave = () => {
+            btn.style.background = 'var(--SmartThemeBlurTintColor, rgba(0,0,0,0.3))';
+        };
+        btn.onclick = (e) => {
+            e.stopPropagation();
+            promptNewFolder();
+        };
+
+        const globalBtn = document.createElement('div');
+        globalBtn.className = 'tmc_add_btn tmc_icon_btn';
+        globalBtn.innerHTML = '<i class="fa-solid fa-globe"></i>';
+        globalBtn.title = 'New global folder (shown for every character)';
+        globalBtn.onclick = (e) => {
+            e.stopPropagation();
+            promptNewFolder(null, true);
+        };
+
+        const smartBtn = document.createElement('div');
+        smartBtn.className = 'tmc_add_btn tmc_icon_btn';
+        smartBtn.innerHTML = '<i class="fa-solid fa-bolt"></i>';
+        smartBtn.title = 'New smart folder';
+        smartBtn.onclick = (e) => {
+            e.stopPropagation();
+            editSmartFolder();
+        };
+
+        const tagBtn = document.createElement('div');
+        tagBtn.className = 'tmc_add_btn tmc_icon_btn tmc_tag_btn';
+        tagBtn.innerHTML = '<i class="fa-solid fa-tags"></i>';
+        tagBtn.title = 'Filter by tag / group by tag';
+        tagBtn.onclick = (e) => {
+            e.stopPropagation();
+            showTagMenu(tagBtn);
+        };
+
+        const rulesBtn = document.createElement('div');
+        rulesBtn.className = 'tmc_add_btn tmc_icon_btn';
+        rulesBtn.innerHTML = '<i class="fa-solid fa-wand-magic-sparkles"></i>';
+        rulesBtn.title = 'Auto-filing rules';
+        rulesBtn.onclick = (e) => {
+            e.stopPropagation();
+            openRulesManager();
+        };
+
+        const layoutBtn = document.createElement('div');
+        layoutBtn.className = 'tmc_add_btn tmc_icon_btn';
+        layoutBtn.innerHTML = '<i class="fa-solid fa-file-export"></i>';
+        layoutBtn.title = 'Export / import folder layout';
+        layoutBtn.onclick = (e) => {
+            e.stopPropagation();
+            showLayoutMenu(layoutBtn);
+        };
+
+        const doctorBtn = document.createElement('div');
+        doctorBtn.className = 'tmc_add_btn tmc_icon_btn';
+        doctorBtn.innerHTML = '<i class="fa-solid fa-stethoscope"></i>';
+        doctorBtn.title = 'Check folder data for problems';
+        doctorBtn.onclick = (e) => {
+            e.stopPropagation();
+            runFolderDoctor();
+        };
+
+        // Insert right after "New Chat" button
+        const newChatBtn = headerRow.querySelector('#newChatFromManageScreenButton');
+        if (newChatBtn && newChatBtn.nextSibling) {
+            headerRow.insertBefore(btn, newChatBtn.nextSibling);
+        } else {
+            // Fallback: insert at beginning
+            headerRow.insertBefore(btn, headerRow.firstChild);
+        }
+        const archiveBtn = document.createElement('div');
+        archiveBtn.className = 'tmc_add_btn tmc_icon_btn tmc_archive_btn';
+        archiveBtn.innerHTML = '<i class="fa-solid fa-box-archive"></i>';
+        archiveBtn.title = 'Show archived chats';
+        archiveBtn.onclick = (e) => {
+            e.stopPropagation();
+            showArchived = !showArchived;
+            scheduleSync();
+        };
+
+        btn.after(globalBtn, smartBtn, tagBtn, archiveBtn, rulesBtn, layoutBtn, doctorBtn);
+    }
+
+    // ========== RENDERING ==========
+
+    // performSync builds the whole tree detached, with cheap placeholders for
+    // chats, then patches it into the live root by key: sections by data-id,
+    // chats by file name within their section. Unchanged chat blocks and
+    // sections stay the same elements, so scroll position, focus and hover
+    // survive a sync. Headers are always swapped for the new ones; they are few
+    // and their handlers close over the current folder objects.
+    const proxyStubs = new WeakMap();
+    const proxyChats = new WeakMap();
+    const proxySignatures = new WeakMap();
+
+    // Date shown instead of SillyTavern's own, or null to keep it
+    function getProxyDateText(chat) {
+        const format = getOption('dateFormat');
+        if (format === 'native') return null;
+        const parsed = chat.rawDate ? new Date(chat.rawDate) : null;
+        const date = getChatMeta(chat.fileName).lastActive || (parsed && !isNaN(parsed.getTime()) ? parsed : null);
+        return date ? formatChatDate(date, format) : null;
+    }
+
+    // Everything a proxy block's markup depends on
+    function getProxySignature(chat) {
+        const tags = getChatTags(getCurrentCharacterId(), chat.fileName);
+        return [
+            chat.html,
+            getProxyDateText(chat) || '',
+            tags.map(tag => tagFilter.has(tag) ? `*${tag}` : tag).join('\n')
+        ].join('\u0001');
+    }
+
+    function getRenderKey(node) {
+        if (node.nodeType !== Node.ELEMENT_NODE) return null;
+        if (node.classList.contains('tmc_proxy_block')) return `chat:${node.getAttribute('file_name')}`;
+        if (node.classList.contains('tmc_virtual')) return 'virtual';
+        if (node.classList.contains('tmc_section')) return `section:${node.dataset.id}`;
+        if (node.classList.contains('tmc_header')) return 'header';
+        if (node.classList.contains('tmc_content')) return 'content';
+        return null;
+    }
+
+    // Built blocks for every placeholder in a subtree that's new on screen
+    function materialize(node) {
+        if (node.nodeType !== Node.ELEMENT_NODE) return node;
+        const chat = proxyStubs.get(node);
+        if (chat) return buildProxyBlock(chat);
+        node.querySelectorAll('.tmc_proxy_block').forEach(stub => {
+            const stubChat = proxyStubs.get(stub);
+            if (stubChat) stub.replaceWith(buildProxyBlock(stubChat));
+        });
+        return node;
+    }
+
+    function syncAttributes(live, next) {
+        for (const { name } of [...live.attributes]) {
+            if (!next.hasAttribute(name)) live.removeAttribute(name);
+        }
+        for (const { name, value } of next.attributes) {
+            if (live.getAttribute(name) !== value) live.setAttribute(name, value);
+        }
+    }
+
+    // Node to keep on screen for next, given its live counterpart
+    function patchNode(live, next, key) {
+        if (key.startsWith('chat:')) {
+            const chat = proxyStubs.get(next);
+            if (!chat || proxySignatures.get(live) !== getProxySignature(chat)) return materialize(next);
+            proxyChats.set(live, chat);
+            return live;
+        }
+        if (key === 'header') return next;
+        if (key === 'virtual') {
+            // Rows are the virtual list's business; it only takes the new chat list
+            const previous = virtualLists.get(live);
+            virtualLists.set(live, { ...virtualLists.get(next), heights: previous.heights });
+            return live;
+        }
+        syncAttributes(live, next);
+        patchChildren(live, next);
+        return live;
+    }
+
+    // Makes live's children match next's, reusing live nodes with the same key
+    function patchChildren(live, next) {
+        const liveByKey = new Map();
+        for (let child = live.firstElementChild; child; child = child.nextElementSibling) {
+            const key = getRenderKey(child);
+            if (key && !liveByKey.has(key)) liveByKey.set(key, child);
+        }
+
+        let cursor = live.firstChild;
+        for (const nextChild of [...next.childNodes]) {
+            const key = getRenderKey(nextChild);
+            const match = key ? liveByKey.get(key) : null;
+            if (match) liveByKey.delete(key);
+            const node = match ? patchNode(match, nextChild, key) : materialize(nextChild);
+
+            if (node === cursor) cursor = cursor.nextSibling;
+            else live.insertBefore(node, cursor);
+        }
+        // Whatever wasn't placed is gone from the new tree
+        while (cursor) {
+            const stale = cursor;
+            cursor = cursor.nextSibling;
+            stale.remove();
+        }
+    }
+
+    // A focused header button is replaced on every patch; put focus back on its twin
+    function rememberHeaderFocus(root) {
+        const active = document.activeElement;
+        if (pendingFocus || !active || !root.contains(active)) return;
+        const header = active.closest('.tmc_header');
+        if (!header) return;
+        const button = active === header ? null : [...active.classList].find(c => c.startsWith('tmc_') && c !== 'tmc_btn');
+        pendingFocus = { folderId: header.parentElement.dataset.id, selector: button ? `.${button}` : null };
+    }
+
+    // ========== VIRTUAL LISTS ==========
+
+    // A section with more chats than VIRTUAL_THRESHOLD keeps them as data in a
+    // .tmc_virtual element and only builds the rows in (or near) the visible part
+    // of the popup; spacers stand in for the rest. Each row's height is measured
+    // once drawn and kept per chat; rows never drawn count as the average.
+    // Anything that needs every chat of a section (counts, select all, shift
+    // ranges, manual order) asks listShownChats / getSectionChatNames instead
+    // of the DOM.
+    const VIRTUAL_THRESHOLD = 60;
+    const VIRTUAL_OVERSCAN = 10;
+    const DEFAULT_ROW_HEIGHT = 64;
+    const virtualLists = new WeakMap();
+    let virtualFrame = null;
+
+    // Swaps long runs of placeholders in a freshly built tree for virtual lists
+    function virtualizeTree(tree) {
+        tree.querySelectorAll('.tmc_content').forEach(content => {
+            const stubs = [...content.children].filter(child => proxyStubs.has(child));
+            if (stubs.length <= VIRTUAL_THRESHOLD) return;
+
+            const chats = stubs.map(stub => proxyStubs.get(stub));
+            stubs.forEach(stub => stub.remove());
+
+            const list = document.createElement('div');
+            list.className = 'tmc_virtual';
+            virtualLists.set(list, { chats, visible: chats, query: null, heights: new Map() });
+            content.appendChild(list);
+        });
+    }
+
+    function getScrollParent(el) {
+        for (let node = el.parentElement; node && node !== document.body; node = node.parentElement) {
+            const overflow = getComputedStyle(node).overflowY;
+            if ((overflow === 'auto' || overflow === 'scroll') && node.scrollHeight > node.clientHeight) return node;
+        }
+        return null;
+    }
+
+    function renderVirtualList(el, measured = false) {
+        const list = virtualLists.get(el);
+        if (!list) return;
+        const rows = list.visible;
+
+        let measuredTotal = 0;
+        list.heights.forEach(h => { measuredTotal += h; });
+        const estimate = list.heights.size ? measuredTotal / list.heights.size : DEFAULT_ROW_HEIGHT;
+        // tops[i] is where row i starts; tops[rows.length] is the full height
+        const tops = [0];
+        rows.forEach((chat, i) => tops.push(tops[i] + (list.heights.get(chat.fileName) || estimate)));
+        const total = tops[rows.length];
+
+        let start = 0;
+        let end = 0;
+        // Collapsed or hidden sections render no rows at all
+        if (el.offsetParent !== null) {
+            const scroller = getScrollParent(el);
+            const view = scroller ? scroller.getBoundingClientRect() : { top: 0, bottom: window.innerHeight };
+            const rect = el.getBoundingClientRect();
+            const from = Math.max(0, view.top - rect.top);
+            const to = Math.min(total, view.bottom - rect.top);
+            if (to > from) {
+                while (start < rows.length && tops[start + 1] <= from) start++;
+                end = start;
+                while (end < rows.length && tops[end] < to) end++;
+                start = Math.max(0, start - VIRTUAL_OVERSCAN);
+                end = Math.min(rows.length, end + VIRTUAL_OVERSCAN);
+            }
+        }
+
+        const existing = new Map();
+        for (const child of el.children) {
+            if (child.classList.contains('tmc_proxy_block')) existing.set(child.getAttribute('file_name'), child);
+        }
+        const nodes = rows.slice(start, end).map(chat => {
+            let row = existing.get(chat.fileName);
+            if (row && proxySignatures.get(row) === getProxySignature(chat)) proxyChats.set(row, chat);
+            else row = buildProxyBlock(chat);
+            row.classList.remove('tmc_virtual_parked');
+            row.classList.toggle('tmc_selected', selectedChats.has(chat.fileName));
+            clearHighlights(row);
+            if (list.query) highlightTerms(row, list.query.terms);
+            return row;
+        });
+
+        const top = el.querySelector(':scope > .tmc_virtual_top') || document.createElement('div');
+        const bottom = el.querySelector(':scope > .tmc_virtual_bottom') || document.createElement('div');
+        top.className = 'tmc_virtual_top';
+        bottom.className = 'tmc_virtual_bottom';
+        top.style.height = `${tops[start]}px`;
+        bottom.style.height = `${total - tops[end]}px`;
+
+        // A dragged row scrolled out of the window stays in the DOM, hidden: once
+        // removed, its dragend/touchend would never come and the drag never ends
+        const parked = [];
+        const source = dragState && dragState.sourceEl;
+        if (source && source.parentElement === el && !nodes.includes(source)) {
+            source.classList.add('tmc_virtual_parked');
+            parked.push(source);
+        }
+
+        // Rows already on screen stay where they are, so hover and drags survive scrolling
+        let cursor = el.firstChild;
+        for (const node of [top, ...nodes, bottom, ...parked]) {
+            if (node === cursor) cursor = cursor.nextSibling;
+            else el.insertBefore(node, cursor);
+        }
+        while (cursor) {
+            const stale = cursor;
+            cursor = cursor.nextSibling;
+            stale.remove();
+        }
+
+        // Measure the rows just drawn; if any differs from what was assumed, place the window again
+        if (!measured && nodes.length) {
+            let changed = false;
+            nodes.forEach((row, i) => {
+                const next = nodes[i + 1] || bottom;
+                const height = next.offsetTop - row.offsetTop;
+                const fileName = rows[start + i].fileName;
+                if (height > 0 && Math.abs(height - (list.heights.get(fileName) || 0)) > 1) {
+                    list.heights.set(fileName, height);
+                    changed = true;
+                }
+            });
+            if (changed) renderVirtualList(el, true);
+        }
+    }
+
+    // Scrolling and resizing move the window of every virtual list, once per frame
+    function scheduleVirtualRender() {
+        if (virtualFrame) return;
+        virtualFrame = requestAnimationFrame(() => {
+            virtualFrame = null;
+            document.querySelectorAll('#tmc_proxy_root .tmc_virtual').forEach(el => renderVirtualList(el));
+        });
+    }
+
+    // File names shown in container (subfolders included), in order. Virtual
+    // lists count every row, built or not.
+    function listShownChats(container, { hitsOnly = false, expandedOnly = false } = {}) {
+        const names = [];
+        container.querySelectorAll('.tmc_proxy_block, .tmc_virtual').forEach(el => {
+            if (expandedOnly && el.offsetParent === null) return;
+            if (el.classList.contains('tmc_virtual')) {
+                const list = virtualLists.get(el);
+                if (list) names.push(...(hitsOnly ? list.visible : list.chats).map(chat => chat.fileName));
+            } else if (!el.parentElement.classList.contains('tmc_virtual') && !(hitsOnly && el.classList.contains('tmc_search_miss'))) {
+                names.push(el.getAttribute('file_name'));
+            }
+        });
+        return names;
+    }
+
+    // File names directly in a section's content, without its subfolders
+    function getSectionChatNames(content) {
+        const names = [];
+        for (const child of content.children) {
+            if (child.classList.contains('tmc_virtual')) names.push(...virtualLists.get(child).chats.map(chat => chat.fileName));
+            else if (child.classList.contains('tmc_proxy_block')) names.push(child.getAttribute('file_name'));
+        }
+        return names;
+    }
+
+    // ========== DRAG & DROP ==========
+
+    const DRAG_MIME = 'application/x-tmc-chat';
+    const FOLDER_DRAG_MIME = 'application/x-tmc-folder';
+    const AUTO_EXPAND_DELAY = 600;
+    const TOUCH_HOLD_DELAY = 400;
+    const TOUCH_MOVE_TOLERANCE = 8;
+
+    let dragState = null;
+    let folderDrag = null;
+
+    // Smart folders are computed, so nothing can be dropped into them; neither
+    // into "Untagged", which has no tag to add
+    function getDropSection(target) {
+        if (!target || !target.closest) return null;
+        const section = target.closest('#tmc_proxy_root .tmc_section');
+        return section && !section.classList.contains('tmc_smart') && !section.classList.contains('tmc_untagged') ? section : null;
+    }
+
+    function setDropHighlight(section) {
+        if (!dragState || dragState.hoverSection === section) return;
+        if (dragState.hoverSection) dragState.hoverSection.classList.remove('tmc_drop_target');
+        clearTimeout(dragState.expandTimer);
+        dragState.hoverSection = section;
+        if (!section) return;
+
+        section.classList.add('tmc_drop_target');
+        if (section.dataset.collapsed === 'true') {
+            dragState.expandTimer = setTimeout(() => expandSectionInPlace(section), AUTO_EXPAND_DELAY);
+        }
+    }
+
+    // Expands without a re-render so the drag in progress keeps its source element
+    function expandSectionInPlace(section) {
+        const folder = getAnyFolder(section.dataset.id);
+        if (!folder) return;
+
+        folder.collapsed = false;
+        section.dataset.collapsed = 'false';
+        const content = section.querySelector(':scope > .tmc_content');
+        if (content) content.style.display = '';
+        section.querySelectorAll('.tmc_virtual').forEach(el => renderVirtualList(el));
+        saveSettings();
+    }
+
+    function autoScrollRoot(root, clientY) {
+        const rect = root.getBoundingClientRect();
+        const edge = 40;
+        if (clientY < rect.top + edge) root.scrollTop -= 12;
+        else if (clientY > rect.bottom - edge) root.scrollTop += 12;
+    }
+
+    function startDrag(fileNames, sourceEl) {
+        dragState = { fileNames, sourceEl, hoverSection: null, expandTimer: null, ghost: null, markerEl: null, insertBefore: undefined };
+        sourceEl.classList.add('tmc_dragging');
+        sourceEl.closest('#tmc_proxy_root')?.classList.add('tmc_drag_active');
+    }
+
+    function endDrag(drop) {
+        if (!dragState) return;
+        const { fileNames, sourceEl, hoverSection, expandTimer, ghost, insertBefore } = dragState;
+        setInsertMarker(null, undefined);
+        dragState = null;
+
+        clearTimeout(expandTimer);
+        if (hoverSection) hoverSection.classList.remove('tmc_drop_target');
+        sourceEl.classList.remove('tmc_dragging');
+        sourceEl.closest('#tmc_proxy_root')?.classList.remove('tmc_drag_active');
+        if (ghost) ghost.remove();
+
+        if (!drop || !hoverSection) return;
+        const targetId = hoverSection.dataset.id;
+        if (targetId === 'pinned') {
+            pinChats(getCurrentCharacterId(), fileNames, true);
+        } else if (hoverSection.dataset.tag) {
+            updateChatTags(getCurrentCharacterId(), fileNames, { add: [hoverSection.dataset.tag] });
+        } else if (fileNames.some(f => getFolderForChat(f) !== targetId)) {
+            recordHistory(`Move ${fileNames.length} chat(s) to "${getFolderLabel(targetId)}"`, () => {
+                moveChat(fileNames, targetId);
+                if (targetId === 'uncategorized') setRuleExemption(getCurrentCharacterId(), fileNames, true);
+                if (insertBefore !== undefined) applyManualDrop(hoverSection, fileNames, insertBefore);
+            });
+            if (fileNames.length > 1) clearSelection();
+            return;
+        }
+        if (insertBefore !== undefined) applyManualDrop(hoverSection, fileNames, insertBefore);
+    }
+
+    function setInsertMarker(block, after) {
+        if (!dragState) return;
+        if (dragState.markerEl) dragState.markerEl.classList.remove('tmc_insert_before', 'tmc_insert_after');
+        dragState.markerEl = block;
+        if (block) block.classList.add(after ? 'tmc_insert_after' : 'tmc_insert_before');
+    }
+
+    // In a manually sorted section, the chat under the pointer decides where the
+    // dragged chats land: insertBefore is a file name, null for the end, or
+    // undefined when there is no position (plain append)
+    function updateInsertMarker(section, target, clientY) {
+        if (!dragState) return;
+        setInsertMarker(null, undefined);
+        dragState.insertBefore = undefined;
+        if (!section || getSortMode(getCurrentCharacterId(), section.dataset.id) !== 'manual') return;
+
+        const content = section.querySelector(':scope > .tmc_content');
+        const block = target && target.closest ? target.closest('.tmc_proxy_block') : null;
+        const parent = block && block.parentElement;
+        if (!block || (parent !== content && !(parent.classList.contains('tmc_virtual') && parent.parentElement === content))) return;
+
+        const rect = block.getBoundingClientRect();
+        const after = clientY > rect.top + rect.height / 2;
+        setInsertMarker(block, after);
+
+        // First following chat that isn't being dragged itself
+        const names = getSectionChatNames(content);
+        let i = names.indexOf(block.getAttribute('file_name')) + (after ? 1 : 0);
+        while (i < names.length && dragState.fileNames.includes(names[i])) i++;
+        dragState.insertBefore = i < names.length ? names[i] : null;
+    }
+
+    function applyManualDrop(section, fileNames, insertBefore) {
+        const content = section.querySelector(':scope > .tmc_content');
+        const order = getSectionChatNames(content).filter(f => !fileNames.includes(f));
+        const idx = insertBefore === null ? order.length : order.indexOf(insertBefore);
+        order.splice(idx < 0 ? order.length : idx, 0, ...fileNames);
+        setManualOrder(getCurrentCharacterId(), section.dataset.id, order);
+    }
+
+    // Folder headers are reordered by dropping on the top or bottom half of another header
+    function getFolderDropHeader(target) {
+        if (!target || !target.closest) return null;
+        const header = target.closest('#tmc_proxy_root .tmc_section[data-folder-id] > .tmc_header');
+        if (!header || folderDrag.sourceEl.contains(header)) return null;
+        return header;
+    }
+
+    function setFolderDropMarker(header, after) {
+        if (folderDrag.hoverHeader) folderDrag.hoverHeader.classList.remove('tmc_drop_before', 'tmc_drop_after');
+        folderDrag.hoverHeader = header;
+        folderDrag.after = after;
+        if (header) header.classList.add(after ? 'tmc_drop_after' : 'tmc_drop_before');
+    }
+
+    function endFolderDrag(drop) {
+        if (!folderDrag) return;
+        const { folderId, sourceEl, hoverHeader, after } = folderDrag;
+        setFolderDropMarker(null, false);
+        sourceEl.classList.remove('tmc_dragging_folder');
+        folderDrag = null;
+
+        if (drop && hoverHeader) {
+            recordHistory(`Move folder "${getFolderLabel(folderId)}"`, () => {
+                placeFolder(folderId, hoverHeader.parentElement.dataset.id, after);
+            });
+        }
+    }
+
+    // Section headers and contents anywhere in the tree accept drops, delegated from the root
+    function initDropZone(root) {
+        root.addEventListener('dragover', (e) => {
+            if (folderDrag) {
+                const header = getFolderDropHeader(e.target);
+                if (header) {
+                    const rect = header.getBoundingClientRect();
+                    setFolderDropMarker(header, e.clientY > rect.top + rect.height / 2);
+                    e.preventDefault();
+                    e.dataTransfer.dropEffect = 'move';
+                } else {
+                    setFolderDropMarker(null, false);
+                }
+                autoScrollRoot(root, e.clientY);
+                return;
+            }
+            if (!dragState) return;
+            const section = getDropSection(e.target);
+            setDropHighlight(section);
+            updateInsertMarker(section, e.target, e.clientY);
+            autoScrollRoot(root, e.clientY);
+            if (section) {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+            }
+        });
+
+        root.addEventListener('dragleave', (e) => {
+            if (root.contains(e.relatedTarget)) return;
+            if (folderDrag) setFolderDropMarker(null, false);
+            if (dragState) setDropHighlight(null);
+        });
+
+        root.addEventListener('drop', (e) => {
+            if (folderDrag) {
+                e.preventDefault();
+                endFolderDrag(true);
+                return;
+            }
+            if (!dragState) return;
+            e.preventDefault();
+            setDropHighlight(getDropSection(e.target));
+            endDrag(true);
+        });
+    }
+
+    function createDragGhost(sourceEl, x, y) {
+        const ghost = sourceEl.cloneNode(true);
+        ghost.classList.add('tmc_drag_ghost');
+        ghost.classList.remove('tmc_dragging');
+        ghost.style.width = sourceEl.offsetWidth + 'px';
+        if (dragState && dragState.fileNames.length > 1) ghost.dataset.count = dragState.fileNames.length;
+        document.body.appendChild(ghost);
+        moveDragGhost(ghost, x, y);
+        return ghost;
+    }
+
+    function moveDragGhost(ghost, x, y) {
+        if (!ghost) return;
+        ghost.style.left = (x - 20) + 'px';
+        ghost.style.top = (y - 20) + 'px';
+    }
+
+    // Touch browsers don't do HTML5 drag and drop: long-press picks the chat up instead.
+    // Releasing without moving opens the context menu, which iOS has no gesture for.
+    function attachTouchDrag(el, fileName) {
+        let holdTimer = null;
+        let startX = 0;
+        let startY = 0;
+        let moved = false;
+
+        const cancelHold = () => {
+            clearTimeout(holdTimer);
+            holdTimer = null;
+        };
+
+        el.addEventListener('touchstart', (e) => {
+            if (e.touches.length !== 1) return;
+            startX = e.touches[0].clientX;
+            startY = e.touches[0].clientY;
+            moved = false;
+            holdTimer = setTimeout(() => {
+                holdTimer = null;
+                startDrag(getActionTargets(fileName), el);
+                dragState.ghost = createDragGhost(el, startX, startY);
+                if (navigator.vibrate) navigator.vibrate(30);
+            }, TOUCH_HOLD_DELAY);
+        }, { passive: true });
+
+        el.addEventListener('touchmove', (e) => {
+            const touch = e.touches[0];
+            const far = Math.abs(touch.clientX - startX) > TOUCH_MOVE_TOLERANCE ||
+                Math.abs(touch.clientY - startY) > TOUCH_MOVE_TOLERANCE;
+
+            if (holdTimer) {
+                // Finger moved before the hold completed: this is a scroll
+                if (far) cancelHold();
+                return;
+            }
+            if (!dragState || dragState.sourceEl !== el) return;
+
+            e.preventDefault();
+            if (far) moved = true;
+            moveDragGhost(dragState.ghost, touch.clientX, touch.clientY);
+            const under = document.elementFromPoint(touch.clientX, touch.clientY);
+            const section = getDropSection(under);
+            setDropHighlight(section);
+            updateInsertMarker(section, under, touch.clientY);
+            const root = el.closest('#tmc_proxy_root');
+            if (root) autoScrollRoot(root, touch.clientY);
+        }, { passive: false });
+
+        el.addEventListener('touchend', (e) => {
+            cancelHold();
+            if (!dragState || dragState.sourceEl !== el) return;
+            e.preventDefault();
+
+            if (moved) {
+                endDrag(true);
+                return;
+            }
+            endDrag(false);
+            const touch = e.changedTouches[0];
+            showContextMenu({ pageX: touch.pageX, pageY: touch.pageY }, fileName);
+        });
+
+        el.addEventListener('touchcancel', () => {
+            cancelHold();
+            if (dragState && dragState.sourceEl === el) endDrag(false);
+        });
+    }
+
+    // ========== SELECTION ==========
+
+    // The right-clicked or dragged chat stands for the whole selection when it is part of it
+    function getActionTargets(fileName) {
+        return selectedChats.has(fileName) && selectedChats.size > 1 ? [...selectedChats] : [fileName];
+    }
+
+    function toggleChatSelection(fileName) {
+        if (selectedChats.has(fileName)) selectedChats.delete(fileName);
+        else selectedChats.add(fileName);
+        selectionAnchor = fileName;
+    }
+
+    // Shift-click selects every visible chat between the anchor and the clicked one
+    function selectRange(el) {
+        const root = el.closest('#tmc_proxy_root');
+        const fileName = el.getAttribute('file_name');
+        if (!root || !selectionAnchor) {
+            toggleChatSelection(fileName);
+            return;
+        }
+
+        const names = listShownChats(root, { hitsOnly: true, expandedOnly: true });
+        const from = names.indexOf(selectionAnchor);
+        const to = names.indexOf(fileName);
+        if (from < 0 || to < 0) {
+            toggleChatSelection(fileName);
+            return;
+        }
+
+        const [start, end] = from < to ? [from, to] : [to, from];
+        names.slice(start, end + 1).forEach(n => selectedChats.add(n));
+    }
+
+    function clearSelection() {
+        selectedChats.clear();
+        selectionAnchor = null;
+        document.querySelectorAll('#tmc_proxy_root').forEach(refreshSelectionUI);
+    }
+
+    // Drops chats that left the list and resets the selection when the character changes
+    function pruneSelection(fileNames) {
+        const characterId = getCurrentCharacterId();
+        if (selectionOwner !== characterId) {
+            selectionOwner = characterId;
+            selectedChats.clear();
+            selectionAnchor = null;
+            return;
+        }
+        const known = new Set(fileNames);
+        for (const f of selectedChats) {
+            if (!known.has(f)) selectedChats.delete(f);
+        }
+    }
+
+    function refreshSelectionUI(root) {
+        if (!root) return;
+        root.classList.toggle('tmc_selecting', selectedChats.size > 0);
+
+        root.querySelectorAll('.tmc_proxy_block').forEach(block => {
+            block.classList.toggle('tmc_selected', selectedChats.has(block.getAttribute('file_name')));
+        });
+
+        root.querySelectorAll('.tmc_select_all').forEach(box => {
+            const names = listShownChats(box.closest('.tmc_section'), { hitsOnly: true });
+            const picked = names.filter(f => selectedChats.has(f)).length;
+            box.checked = names.length > 0 && picked === names.length;
+            box.indeterminate = picked > 0 && picked < names.length;
+            box.disabled = names.length === 0;
+        });
+    }
+
+    // Header checkbox: selects every chat in the folder, subfolders included
+    // The section is looked up on use: an incremental render may move this
+    // header into the section already on screen
+    function attachSelectAll(header) {
+        const box = header.querySelector('.tmc_select_all');
+        if (!box) return;
+
+        box.onclick = (e) => e.stopPropagation();
+        box.onchange = () => {
+            const section = header.parentElement;
+            listShownChats(section, { hitsOnly: true }).forEach(fileName => {
+                if (box.checked) selectedChats.add(fileName);
+                else selectedChats.delete(fileName);
+            });
+            refreshSelectionUI(section.closest('#tmc_proxy_root'));
+        };
+    }
+
+    // ========== CHAT FILES ==========
+
+    function toChatFile(fileName) {
+        return /\.jsonl$/i.test(fileName) ? fileName : `${fileName}.jsonl`;
+    }
+
+    async function exportChats(fileNames) {
+        const context = SillyTavern.getContext();
+        const character = findCharacterByKey(getCurrentCharacterId());
+        if (!character) return;
+
+        let failed = 0;
+        for (const fileName of fileNames) {
+            const name = extractChatTitle(fileName);
+            const body = {
+                is_group: isGroup(character),
+                avatar_url: isGroup(character) ? undefined : character.avatar,
+                file: toChatFile(fileName),
+                exportfilename: `${name}.jsonl`,
+                format: 'jsonl'
+            };
+            try {
+                const response = await fetch('/api/chats/export', {
+                    method: 'POST',
+                    headers: context.getRequestHeaders(),
+                    body: JSON.stringify(body)
+                });
+                if (!response.ok) throw new Error(response.statusText);
+                const data = await response.json();
+                downloadFile(data.result, body.exportfilename, 'application/json');
+            } catch (err) {
+                console.error('[TMC] Export failed for', fileName, err);
+                failed++;
+            }
+        }
+
+        if (failed) toastr.error(`${failed} chat(s) could not be exported`);
+        else toastr.success(`Exported ${fileNames.length} chat(s)`);
+    }
+
+    async function deleteChats(fileNames) {
+        const context = SillyTavern.getContext();
+        const character = findCharacterByKey(getCurrentCharacterId());
+        if (!character) return;
+        const group = isGroup(character);
+
+        // Deleting the open chat from under SillyTavern breaks it, so that one is skipped
+        const activeChat = context.getCurrentChatId ? context.getCurrentChatId() : null;
+        const deleted = [];
+        let skipped = 0;
+        let failed = 0;
+
+        for (const fileName of fileNames) {
+            if (activeChat && extractChatTitle(fileName) === activeChat) {
+                skipped++;
+                continue;
+            }
+            try {
+                const response = group
+                    ? await fetch('/api/chats/group/delete', {
+                        method: 'POST',
+                        headers: context.getRequestHeaders(),
+                        body: JSON.stringify({ id: extractChatTitle(fileName) })
+                    })
+                    : await fetch('/api/chats/delete', {
+                        method: 'POST',
+                        headers: context.getRequestHeaders(),
+                        body: JSON.stringify({ chatfile: toChatFile(fileName), avatar_url: character.avatar })
+                    });
+                if (!response.ok) throw new Error(response.statusText);
+                deleted.push(fileName);
+                removeNativeBlock(fileName);
+                // Folders, pins, tags and archive entries go now, whether or not anyone handles the event
+                forgetDeletedChat(fileName);
+                const title = extractChatTitle(fileName);
+                deletingChats.add(title);
+                try {
+                    if (group) {
+                        await dropGroupChat(character, title);
+                        await context.eventSource.emit(context.event_types.GROUP_CHAT_DELETED || context.event_types.CHAT_DELETED, title);
+                    } else {
+                        await context.eventSource.emit(context.event_types.CHAT_DELETED, title);
+                    }
+                } finally {
+                    deletingChats.delete(title);
+                }
+            } catch (err) {
+                console.error('[TMC] Delete failed for', fileName, err);
+                failed++;
+            }
+        }
+
+        clearSelection();
+
+        if (deleted.length) toastr.success(`Deleted ${deleted.length} chat(s)`);
+        if (skipped) toastr.warning('The currently open chat was not deleted');
+        if (failed) toastr.error(`${failed} chat(s) could not be deleted`);
+    }
+
+    // File names of every chat the character has, straight from the server.
+    // Returns null when the list can't be fetched.
+    async function fetchCharacterChatFiles(character = null) {
+        const chats = await fetchCharacterChats(character);
+        return chats ? chats.map(chat => chat.file_name) : null;
+    }
+
+    // Server-side chat list entries: { file_name, file_size, chat_items, mes, last_mes }
+    async function fetchCharacterChats(character = null) {
+        const context = SillyTavern.getContext();
+        character = character || findCharacterByKey(getCurrentCharacterId());
+        if (!character) return null;
+        if (isGroup(character)) return fetchGroupChats(character);
+
+        try {
+            const response = await fetch('/api/characters/chats', {
+                method: 'POST',
+                headers: context.getRequestHeaders(),
+                body: JSON.stringify({ avatar_url: character.avatar })
+            });
+            if (!response.ok) return null;
+            const data = await response.json();
+            if (!data || data.error) return null;
+            return Object.values(data).filter(chat => chat && chat.file_name);
+        } catch (err) {
+            console.error('[TMC] Could not fetch chat list:', err);
+            return null;
+        }
+    }
+
+    // Group chats have no list endpoint, so like SillyTavern's own popup this reads
+    // every chat of the group and builds the same entries
+    async function fetchGroupChats(group) {
+        const chats = [];
+        for (const chatId of group.chats || []) {
+            const messages = await fetchGroupChat(chatId);
+            if (!messages) return null;
+            const last = messages[messages.length - 1];
+            chats.push({
+                file_name: String(chatId),
+                file_size: `${(JSON.stringify(messages).length / 1024).toFixed(2)}kb`,
+                chat_items: messages.length,
+                mes: last ? last.mes : '',
+                last_mes: last ? last.send_date : null
+            });
+        }
+        return chats;
+    }
+
+    // Messages of a group chat, without the metadata header; null on failure
+    async function fetchGroupChat(chatId) {
+        const context = SillyTavern.getContext();
+        try {
+            const response = await fetch('/api/chats/group/get', {
+                method: 'POST',
+                headers: context.getRequestHeaders(),
+                body: JSON.stringify({ id: chatId })
+            });
+            if (!response.ok) return null;
+            const data = await response.json();
+            return Array.isArray(data) ? data.filter(m => m && typeof m.mes === 'string') : [];
+        } catch (err) {
+            console.error('[TMC] Could not read group chat', chatId, err);
+            return null;
+        }
+    }
+
+    // The group keeps its own list of chat ids; the server endpoint only removes the file
+    async function dropGroupChat(group, chatId) {
+        const idx = (group.chats || []).indexOf(chatId);
+        if (idx < 0) return;
+        group.chats.splice(idx, 1);
+
+        const context = SillyTavern.getContext();
+        try {
+            await fetch('/api/groups/edit', {
+                method: 'POST',
+                headers: context.getRequestHeaders(),
+                body: JSON.stringify(group)
+            });
+        } catch (err) {
+            console.error('[TMC] Could not update group', group.id, err);
+        }
+    }
+
+    // Text of the first message in a chat file; the header line has no `mes`
+    async function fetchFirstMessage(character, fileName) {
+        if (isGroup(character)) {
+            const messages = await fetchGroupChat(extractChatTitle(fileName));
+            return messages && messages.length ? messages[0].mes : '';
+        }
+
+        const context = SillyTavern.getContext();
+        try {
+            const response = await fetch('/api/chats/get', {
+                method: 'POST',
+                headers: context.getRequestHeaders(),
+                body: JSON.stringify({
+                    ch_name: character.name,
+                    file_name: extractChatTitle(fileName),
+                    avatar_url: character.avatar
+                })
+            });
+            if (!response.ok) return '';
+            const data = await response.json();
+            const first = Array.isArray(data) ? data.find(m => m && typeof m.mes === 'string') : null;
+            return first ? first.mes : '';
+        } catch (err) {
+            console.error('[TMC] Could not read chat', fileName, err);
+            return '';
+        }
+    }
+
+    // The native list isn't reloaded after our API calls, so its stale blocks are removed by hand
+    function removeNativeBlock(fileName) {
+        document.querySelectorAll('.select_chat_block:not(.tmc_proxy_block)').forEach(block => {
+            if (getBlockFileName(block) !== fileName) return;
+            const wrapper = block.closest('.select_chat_block_wrapper');
+            if (wrapper && wrapper.querySelectorAll('.select_chat_block').length === 1) wrapper.remove();
+            else block.remove();
+        });
+    }
+
+    // ========== RENAME TRACKING ==========
+
+    // Folders store raw file names, so a rename has to be carried over by hand.
+    // Two signals are used: the popup list changing between syncs (old name gone,
+    // new name appeared, same last message) and the open chat switching to a new
+    // id while its old file disappears, which covers /renamechat and other
+    // renames made outside the popup.
+
+    // Last message + message count; survives a rename, differs between most chats
+    function getChatFingerprint(block) {
+        const preview = block.querySelector('.select_chat_block_mes')?.textContent.trim() || '';
+        const count = block.querySelector('.chat_messages_num')?.textContent.trim() || '';
+        return preview || count ? `${count}|${preview}` : '';
+    }
+
+    // Stored name of a chat in the character's folders, matched with or without extension
+    function findStoredChatName(characterId, chatName) {
+        const settings = getSettings();
+        const title = extractChatTitle(chatName);
+        for (const fid of settings.characterFolders[characterId] || []) {
+            const folder = settings.folders[fid];
+            const match = folder && folder.chats && folder.chats.find(f => extractChatTitle(f) === title);
+            if (match) return match;
+        }
+        for (const folder of Object.values(settings.globalFolders)) {
+            const match = getGlobalChats(folder, characterId).find(f => extractChatTitle(f) === title);
+            if (match) return match;
+        }
+        return Object.keys(getArchivedChats(characterId)).find(f => extractChatTitle(f) === title) || null;
+    }
+
+    function renameChatInFolders(characterId, oldName, newName) {
+        const settings = getSettings();
+        let changed = false;
+
+        for (const fid of settings.characterFolders[characterId] || []) {
+            const folder = settings.folders[fid];
+            if (!folder || !folder.chats) continue;
+            const idx = folder.chats.indexOf(oldName);
+            if (idx < 0) continue;
+            if (folder.chats.includes(newName)) folder.chats.splice(idx, 1);
+            else folder.chats[idx] = newName;
+            changed = true;
+        }
+
+        const tagged = settings.chatTags[characterId];
+        if (tagged && tagged[oldName]) {
+            tagged[newName] = [...new Set([...(tagged[newName] || []), ...tagged[oldName]])];
+            delete tagged[oldName];
+            changed = true;
+        }
+
+        for (const map of [settings.archived[characterId], settings.archiveKeep[characterId]]) {
+            if (!map || !Object.hasOwn(map, oldName)) continue;
+            map[newName] = map[oldName];
+            delete map[oldName];
+            changed = true;
+        }
+
+        const opened = settings.lastOpened[characterId];
+        const oldTitle = extractChatTitle(oldName);
+        if (opened && Object.hasOwn(opened, oldTitle)) {
+            const newTitle = extractChatTitle(newName);
+            opened[newTitle] = Math.max(opened[newTitle] || 0, opened[oldTitle]);
+            delete opened[oldTitle];
+            changed = true;
+        }
+
+        // Pins, global folders, rule exemptions and the manual order of "Your chats"
+        // refer to chats by name too
+        const lists = [
+            settings.pinned[characterId],
+            settings.uncategorized[characterId]?.order,
+            settings.rules.exempt[characterId],
+            ...Object.values(settings.globalFolders).map(folder => getGlobalChats(folder, characterId))
+        ];
+        lists.forEach(list => {
+            const idx = list ? list.indexOf(oldName) : -1;
+            if (idx < 0) return;
+            if (list.includes(newName)) list.splice(idx, 1);
+            else list[idx] = newName;
+            changed = true;
+        });
+
+        if (selectedChats.delete(oldName)) selectedChats.add(newName);
+        return changed;
+    }
+
+    // Compares the list with the one seen at the previous sync. Returns true if any
+    // folder was rewritten.
+    function detectRenames(characterId, chatData) {
+        const current = new Map(chatData.map(c => [c.fileName, c.fingerprint]));
+        const previous = knownChats.characterId === characterId ? knownChats.fingerprints : null;
+        const hinted = pendingRename;
+        knownChats = { characterId, fingerprints: current };
+        if (!characterId || !previous || previous.size === 0 || current.size === 0) return false;
+
+        const removed = [...previous.keys()].filter(f => !current.has(f));
+        const added = [...current.keys()].filter(f => !previous.has(f));
+        if (removed.length === 0 || added.length === 0) return false;
+        pendingRename = null;
+
+        const pairs = [];
+        if (removed.length === 1 && added.length === 1) {
+            const before = previous.get(removed[0]);
+            const after = current.get(added[0]);
+            // A lone swap is a rename unless the contents clearly differ
+            if (hinted === removed[0] || !before || !after || before === after) pairs.push([removed[0], added[0]]);
+        } else {
+            // Several changes at once: only pair up chats with a unique matching fingerprint
+            for (const oldName of removed) {
+                const fingerprint = previous.get(oldName);
+                if (!fingerprint) continue;
+                const twins = removed.filter(n => previous.get(n) === fingerprint);
+                const matches = added.filter(n => current.get(n) === fingerprint);
+                if (twins.length === 1 && matches.length === 1) pairs.push([oldName, matches[0]]);
+            }
+        }
+
+        let changed = false;
+        for (const [oldName, newName] of pairs) {
+            if (getFolderForChat(newName) !== 'uncategorized') continue;
+            if (renameChatInFolders(characterId, oldName, newName)) changed = true;
+        }
+        return changed;
+    }
+
+    // Open chat got a new id for the same character: if the old file is gone
+    // (and wasn't deleted), it was renamed
+    async function checkOpenChatRename() {
+        const context = SillyTavern.getContext();
+        const characterId = getCurrentCharacterId();
+        const chatId = context.getCurrentChatId ? context.getCurrentChatId() : null;
+        const previous = lastOpenChat;
+        lastOpenChat = { characterId, chatId };
+
+        if (!characterId || !chatId || !previous.chatId) return;
+        if (previous.characterId !== characterId || previous.chatId === chatId) return;
+        if (recentlyDeleted.delete(previous.chatId)) return;
+
+        const oldName = findStoredChatName(characterId, previous.chatId);
+        if (!oldName || findStoredChatName(characterId, chatId)) return;
+
+        // Switching to a chat the popup already listed is a plain switch, not a rename
+        if (knownChats.characterId === characterId &&
+            [...knownChats.fingerprints.keys()].some(f => extractChatTitle(f) === chatId)) return;
+
+        const files = await fetchCharacterChatFiles();
+        if (!files) return;
+        const titles = files.map(extractChatTitle);
+        if (titles.includes(extractChatTitle(oldName)) || !titles.includes(chatId)) return;
+
+        const newName = files[titles.indexOf(chatId)];
+        if (renameChatInFolders(characterId, oldName, newName)) {
+            saveSettings();
+            scheduleSync();
+        }
+    }
+
+    function onChatChanged() {
+        checkOpenChatRename().catch(err => console.error('[TMC] Rename check failed:', err));
+        rememberChatOpened();
+        scheduleSync();
+    }
+
+    // ========== DOCTOR ==========
+
+    const ISSUE_LABELS = {
+        bad_folder_list: 'Malformed folder lists',
+        missing_folder: 'References to folders that no longer exist',
+        duplicate_owner: 'Folders listed under more than one character',
+        unowned_folder: 'Folders no character owns',
+        missing_field: 'Folders with missing or invalid fields',
+        bad_parent: 'Subfolders with an invalid parent',
+        duplicate_chat: 'Chats filed more than once',
+        dangling_chat: 'Chats that no longer exist'
+    };
+
+    function checkFolderFields(folder, global) {
+        const problems = [];
+        if (typeof folder.name !== 'string' || !folder.name.trim()) problems.push('name');
+        if (global) {
+            if (!folder.chats || typeof folder.chats !== 'object' || Array.isArray(folder.chats) ||
+                Object.values(folder.chats).some(list => !Array.isArray(list) || list.some(c => typeof c !== 'string'))) problems.push('chats');
+        } else if (!Array.isArray(folder.chats) || folder.chats.some(c => typeof c !== 'string')) {
+            problems.push('chats');
+        }
+        if (typeof folder.collapsed !== 'boolean') problems.push('collapsed');
+        if (typeof folder.order !== 'number' || !Number.isFinite(folder.order)) problems.push('order');
+        if (!global && folder.parentId === undefined) problems.push('parentId');
+        return problems;
+    }
+
+    function fixFolderFields(folder, problems, order, global) {
+        const isName = c => typeof c === 'string';
+        if (problems.includes('name')) folder.name = 'Untitled folder';
+        if (problems.includes('chats') && !global) {
+            folder.chats = Array.isArray(folder.chats) ? folder.chats.filter(isName) : [];
+        } else if (problems.includes('chats')) {
+            // Global folder: keep the valid names of each character
+            const lists = folder.chats && typeof folder.chats === 'object' && !Array.isArray(folder.chats) ? folder.chats : {};
+            folder.chats = {};
+            Object.keys(lists).forEach(characterId => {
+                if (Array.isArray(lists[characterId])) folder.chats[characterId] = lists[characterId].filter(isName);
+            });
+        }
+        if (problems.includes('collapsed')) folder.collapsed = !!folder.collapsed;
+        if (problems.includes('order')) folder.order = order;
+        if (problems.includes('parentId')) folder.parentId = null;
+    }
+
+    // Walks the whole folder blob, global folders included, and returns a list
+    // of { type, message } issues. With fix=true every issue is repaired in place
+    // as it is found, except that folders no character owns are only deleted
+    // with deleteUnowned (the doctor asks first, the repair at load never does).
+    // Dangling chats are only checked for characters present in chatLists
+    // (characterId -> file names from the server).
+    function repairFolders({ fix = false, chatLists = {}, deleteUnowned = fix } = {}) {
+        const settings = getSettings();
+        const issues = [];
+        const report = (type, message) => issues.push({ type, message });
+        const owners = {};
+        // Folder ids per character as far as they can be read, malformed lists included
+        const lists = {};
+
+        // Folder lists per character
+        for (const characterId of Object.keys(settings.characterFolders)) {
+            let folderIds = settings.characterFolders[characterId];
+            if (!Array.isArray(folderIds)) {
+                report('bad_folder_list', `${characterId}: folder list is not an array`);
+                // An object with index keys still names its folders
+                folderIds = folderIds && typeof folderIds === 'object'
+                    ? Object.values(folderIds).filter(fid => typeof fid === 'string')
+                    : [];
+            }
+
+            const kept = [];
+            for (const fid of folderIds) {
+                if (!settings.folders[fid]) {
+                    report('missing_folder', `${characterId}: ${fid}`);
+                    continue;
+                }
+                if (owners[fid]) {
+                    report('duplicate_owner', `${fid} (${owners[fid]}, ${characterId})`);
+                    continue;
+                }
+                owners[fid] = characterId;
+                kept.push(fid);
+            }
+            lists[characterId] = kept;
+            if (fix) settings.characterFolders[characterId] = kept;
+        }
+
+        // Folder objects
+        for (const fid of Object.keys(settings.folders)) {
+            const folder = settings.folders[fid];
+            if (!owners[fid]) {
+                report('unowned_folder', `${fid} "${folder && folder.name}"`);
+                if (fix && deleteUnowned) delete settings.folders[fid];
+                continue;
+            }
+            if (!folder || typeof folder !== 'object') {
+                report('missing_field', `${fid}: not an object`);
+                if (fix) settings.folders[fid] = { name: 'Recovered folder', chats: [], collapsed: false, order: 0, parentId: null, color: null, icon: null, description: '' };
+                continue;
+            }
+
+            const problems = checkFolderFields(folder, false);
+            if (problems.length) {
+                report('missing_field', `${fid}: ${problems.join(', ')}`);
+                if (fix) fixFolderFields(folder, problems, lists[owners[fid]].indexOf(fid), false);
+            }
+        }
+
+        // Global folders
+        Object.keys(settings.globalFolders).forEach((fid, index) => {
+            const folder = settings.globalFolders[fid];
+            if (!folder || typeof folder !== 'object') {
+                report('missing_field', `${fid} (global): not an object`);
+                if (fix) settings.globalFolders[fid] = { name: 'Recovered folder', chats: {}, collapsed: false, order: index, color: null, icon: null, description: '' };
+                return;
+            }
+            const problems = checkFolderFields(folder, true);
+            if (problems.length) {
+                report('missing_field', `${fid} (global): ${problems.join(', ')}`);
+                if (fix) fixFolderFields(folder, problems, index, true);
+            }
+        });
+
+        // Parents must be another folder of the same character, without cycles
+        for (const fid of Object.keys(owners)) {
+            const folder = settings.folders[fid];
+            if (!folder || !folder.parentId) continue;
+
+            let bad = folder.parentId === fid || owners[folder.parentId] !== owners[fid];
+            const seen = new Set([fid]);
+            let cursor = folder.parentId;
+            while (!bad && cursor) {
+                if (seen.has(cursor)) bad = true;
+                seen.add(cursor);
+                cursor = settings.folders[cursor] ? settings.folders[cursor].parentId : null;
+            }
+            if (bad) {
+                report('bad_parent', `${fid} "${folder.name}"`);
+                if (fix) folder.parentId = null;
+            }
+        }
+
+        // Chats: one folder per chat within a character, character folders first
+        // like getFolderForChat, then global folders; and only chats that exist
+        const globalIds = Object.keys(settings.globalFolders).filter(fid => {
+            const folder = settings.globalFolders[fid];
+            return folder && folder.chats && typeof folder.chats === 'object' && !Array.isArray(folder.chats);
+        });
+        const characterIds = new Set(Object.keys(lists));
+        globalIds.forEach(fid => Object.keys(settings.globalFolders[fid].chats).forEach(id => characterIds.add(id)));
+
+        for (const characterId of characterIds) {
+            const existing = chatLists[characterId] ? new Set(chatLists[characterId].map(extractChatTitle)) : null;
+            const filed = new Set();
+            const keepChats = (chats, where) => chats.filter(chat => {
+                if (typeof chat !== 'string') return false;
+                if (filed.has(chat)) {
+                    report('duplicate_chat', `${characterId}: ${chat}${where}`);
+                    return false;
+                }
+                if (existing && !existing.has(extractChatTitle(chat))) {
+                    report('dangling_chat', `${characterId}: ${chat}`);
+                    return false;
+                }
+                filed.add(chat);
+                return true;
+            });
+
+            for (const fid of lists[characterId] || []) {
+                const folder = settings.folders[fid];
+                if (!folder || !Array.isArray(folder.chats)) continue;
+                const kept = keepChats(folder.chats, '');
+                if (fix) folder.chats = kept;
+            }
+            for (const fid of globalIds) {
+                const folder = settings.globalFolders[fid];
+                const chats = folder.chats[characterId];
+                if (!Array.isArray(chats)) continue;
+                const kept = keepChats(chats, ` (global folder "${folder.name}")`);
+                if (fix) setGlobalChats(folder, characterId, kept);
+            }
+        }
+
+        return issues;
+    }
+
+    function summarizeIssues(issues) {
+        const counts = {};
+        issues.forEach(i => counts[i.type] = (counts[i.type] || 0) + 1);
+        return Object.entries(counts).map(([type, n]) => `• ${ISSUE_LABELS[type] || type}: ${n}`).join('\n');
+    }
+
+    // Characters that have chats filed anywhere, in their own folders or global ones
+    function getFilingCharacters() {
+        const settings = getSettings();
+        const ids = new Set(Object.keys(settings.characterFolders));
+        Object.values(settings.globalFolders).forEach(folder => {
+            if (folder && folder.chats && typeof folder.chats === 'object') Object.keys(folder.chats).forEach(id => ids.add(id));
+        });
+        return [...ids];
+    }
+
+    // Fetches the chat list of every character that has filed chats, so dangling
+    // chat names can be found too, then reports and offers to fix
+    async function runFolderDoctor() {
+        const chatLists = {};
+
+        for (const characterId of getFilingCharacters()) {
+            // Without the owning character there's no way to tell which chats exist
+            const character = findCharacterByKey(characterId);
+            if (!character) continue;
+            const files = await fetchCharacterChatFiles(character);
+            if (files) chatLists[characterId] = files;
+        }
+
+        const issues = repairFolders({ fix: false, chatLists });
+        if (issues.length === 0) {
+            toastr.success('Folder data looks healthy');
+            return;
+        }
+
+        const details = escapeHtml(summarizeIssues(issues)).replace(/\n/g, '<br>');
+        const unowned = issues.filter(i => i.type === 'unowned_folder').length;
+        const warning = unowned ? `<p>Fixing deletes the ${unowned} folder(s) no character owns.</p>` : '';
+        if (!(await showConfirmDialog(`<h3>Found ${issues.length} problem(s) in folder data</h3><p>${details}</p>${warning}Fix them now?`, 'Fix'))) return;
+
+        repairFolders({ fix: true, chatLists, deleteUnowned: true });
+        saveSettings();
+        scheduleSync();
+        toastr.success(`Fixed ${issues.length} problem(s)`);
+    }
+
+    // Structural repair at load; dangling chats are left for the doctor since
+    // they need a server round trip per character, and so are folders no
+    // character owns, which would take their chats with them
+    function autoRepairFolders() {
+        if (!getSettings().autoRepair) return;
+        const issues = repairFolders({ fix: true, deleteUnowned: false });
+        const fixed = issues.filter(i => i.type !== 'unowned_folder');
+        if (fixed.length) {
+            console.warn(`[TMC] Repaired ${fixed.length} problem(s) in folder data:`, fixed);
+            saveSettings();
+        }
+        if (fixed.length < issues.length) {
+            toastr.warning(`${issues.length - fixed.length} folder(s) belong to no character. Check them with the folder doctor (stethoscope button) in Chat History`);
+        }
+    }
+
+    // A deleted chat leaves the folders of the current character right away
+    function forgetDeletedChat(name) {
+        const characterId = getCurrentCharacterId();
+        const stored = characterId ? findStoredChatName(characterId, name) : null;
+        if (stored) moveChat(stored, 'uncategorized');
+
+        const title = extractChatTitle(name);
+        const pinned = getPinnedChats(characterId).filter(f => extractChatTitle(f) === title);
+        if (pinned.length) pinChats(characterId, pinned, false);
+
+        const settings = getSettings();
+        for (const map of [settings.chatTags[characterId], settings.archiveKeep[characterId], settings.lastOpened[characterId]]) {
+            if (!map) continue;
+            Object.keys(map).filter(f => extractChatTitle(f) === title).forEach(f => delete map[f]);
+            saveSettings();
+        }
+    }
+
+    // ========== IMPORT / EXPORT ==========
+
+    const LAYOUT_FORMAT = 'too-many-chats-layout';
+
+    // Portable snapshot of the folder sets of the given characters, plus every
+    // global folder and what these characters filed in them (globalChats, by
+    // global folder id). Folder ids are kept only to link subfolders to parents
+    // and chats to global folders; import assigns fresh ones.
+    function buildLayout(characterIds) {
+        const settings = getSettings();
+        const globalIds = getGlobalFolderIds();
+
+        const characters = characterIds.map(characterId => {
+            const character = findCharacterByKey(characterId);
+            const folders = (settings.characterFolders[characterId] || [])
+                .filter(fid => settings.folders[fid])
+                .map(fid => {
+                    const folder = settings.folders[fid];
+                    return {
+                        id: fid,
+                        name: folder.name,
+                        parentId: getParentId(folder),
+                        order: folder.order ?? 0,
+                        collapsed: !!folder.collapsed,
+                        color: folder.color || null,
+                        icon: folder.icon || null,
+                        description: folder.description || '',
+                        chats: [...(folder.chats || [])]
+                    };
+                });
+            const globalChats = {};
+            globalIds.forEach(fid => {
+                const chats = getGlobalChats(settings.globalFolders[fid], characterId);
+                if (chats.length) globalChats[fid] = [...chats];
+            });
+            return {
+                characterId,
+                group: isGroupKey(characterId),
+                avatar: character && !isGroup(character) ? character.avatar : null,
+                name: character ? character.name : null,
+                folders,
+                globalChats
+            };
+        }).filter(entry => entry.folders.length > 0 || Object.keys(entry.globalChats).length > 0);
+
+        const globalFolders = globalIds.map(fid => {
+            const folder = settings.globalFolders[fid];
+            return {
+                id: fid,
+                name: folder.name,
+                order: folder.order ?? 0,
+                collapsed: !!folder.collapsed,
+                color: folder.color || null,
+                icon: folder.icon || null,
+                description: folder.description || ''
+            };
+        });
+
+        return {
+            format: LAYOUT_FORMAT,
+            schemaVersion: SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            characters,
+            globalFolders
+        };
+    }
+
+    function exportLayout(scope) {
+        let characterIds = getFilingCharacters();
+        let label = 'all';
+
+        if (scope === 'current') {
+            const characterId = getCurrentCharacterId();
+            if (!characterId) {
+                toastr.warning('Please select a character or group first');
+                return;
+            }
+            characterIds = [characterId];
+            label = (findCharacterByKey(characterId)?.name || 'character').replace(/[^\w-]+/g, '_');
+        }
+
+        const layout = buildLayout(characterIds);
+        if (layout.characters.length === 0 && layout.globalFolders.length === 0) {
+            toastr.info('There are no folders to export');
+            return;
+        }
+
+        const date = new Date().toISOString().slice(0, 10);
+        downloadFile(JSON.stringify(layout, null, 2), `too-many-chats-${label}-${date}.json`, 'application/json');
+        toastr.success(`Exported folders of ${layout.characters.length} character(s)`);
+    }
+
+    // Throws with a readable message when the file isn't a layout this version understands
+    function validateLayout(layout) {
+        if (!layout || layout.format !== LAYOUT_FORMAT || !Array.isArray(layout.characters)) {
+            throw new Error('This is not a Too Many Chats layout file');
+        }
+        if (typeof layout.schemaVersion === 'number' && layout.schemaVersion > SCHEMA_VERSION) {
+            throw new Error('This layout was exported by a newer version of the extension');
+        }
+        for (const entry of layout.characters) {
+            if (!entry || !Array.isArray(entry.folders)) throw new Error('Layout file is damaged (character entry)');
+            for (const folder of entry.folders) {
+                if (!folder || typeof folder.id !== 'string' || typeof folder.name !== 'string' || !Array.isArray(folder.chats)) {
+                    throw new Error('Layout file is damaged (folder entry)');
+                }
+            }
+            // Older files have no global folders
+            if (entry.globalChats !== undefined &&
+                (!isPlainObject(entry.globalChats) || Object.values(entry.globalChats).some(chats => !Array.isArray(chats)))) {
+                throw new Error('Layout file is damaged (global chats)');
+            }
+        }
+        if (layout.globalFolders !== undefined && (!Array.isArray(layout.globalFolders) ||
+            layout.globalFolders.some(f => !f || typeof f.id !== 'string' || typeof f.name !== 'string'))) {
+            throw new Error('Layout file is damaged (global folder entry)');
+        }
+    }
+
+    // Same avatar file first, then same name. Groups match by id, then name.
+    function matchImportedCharacter(entry) {
+        const { characters, groups } = SillyTavern.getContext();
+        if (entry.group) {
+            return (entry.characterId && findCharacterByKey(entry.characterId)) ||
+                (entry.name && (groups || []).find(g => g.name === entry.name)) ||
+                null;
+        }
+        return (entry.avatar && characters.find(c => c.avatar === entry.avatar)) ||
+            (entry.name && characters.find(c => c.name === entry.name)) ||
+            (entry.characterId && findCharacterByKey(entry.characterId)) ||
+            null;
+    }
+
+    // Parents before their children, siblings by order; cycles are cut at the top level
+    function sortImportedFolders(folders) {
+        const byId = new Map(folders.map(f => [f.id, f]));
+        const depthOf = (folder) => {
+            let depth = 0;
+            const seen = new Set([folder.id]);
+            let cursor = byId.get(folder.parentId);
+            while (cursor && !seen.has(cursor.id)) {
+                seen.add(cursor.id);
+                depth++;
+                cursor = byId.get(cursor.parentId);
+            }
+            return depth;
+        };
+        return [...folders].sort((a, b) => depthOf(a) - depthOf(b) || (a.order ?? 0) - (b.order ?? 0));
+    }
+
+    // Global folders are shared, so both modes reuse a same-named one and only
+    // add the rest; returns imported id -> local id
+    function importGlobalFolders(layout, summary) {
+        const settings = getSettings();
+        const idMap = {};
+        for (const imported of [...(layout.globalFolders || [])].sort((a, b) => (a.order ?? 0) - (b.order ?? 0))) {
+            const wanted = imported.name.trim().toLowerCase();
+            let fid = getGlobalFolderIds().find(id => settings.globalFolders[id].name.toLowerCase() === wanted);
+            if (!fid) {
+                const name = availableFolderName(null, imported.name);
+                if (name !== imported.name.trim()) summary.renamed.push(`${imported.name} → ${name}`);
+                fid = generateId('global');
+                settings.globalFolders[fid] = {
+                    name,
+                    chats: {},
+                    collapsed: !!imported.collapsed,
+                    order: getGlobalFolderIds().length,
+                    color: normalizeFolderColor(imported.color),
+                    icon: normalizeFolderIcon(imported.icon),
+                    description: typeof imported.description === 'string' ? imported.description.trim() : ''
+                };
+                summary.folders++;
+            }
+            idMap[imported.id] = fid;
+        }
+        return idMap;
+    }
+
+    // One folder per chat: takes it out of the character's folders and the global ones
+    function unfileImportedChat(characterId, fileName) {
+        const settings = getSettings();
+        (settings.characterFolders[characterId] || []).forEach(id => {
+            const f = settings.folders[id];
+            if (f && f.chats) f.chats = f.chats.filter(c => c !== fileName);
+        });
+        getGlobalFolderIds().forEach(id => {
+            const folder = settings.globalFolders[id];
+            const chats = getGlobalChats(folder, characterId);
+            if (chats.includes(fileName)) setGlobalChats(folder, characterId, chats.filter(c => c !== fileName));
+        });
+    }
+
+    // mode 'merge' reuses same-named folders at the same level and adds the rest;
+    // 'replace' drops the character's current folders, and takes its chats out of
+    // the global ones, first. Chats that no longer exist for the matched
+    // character are skipped and reported.
+    async function applyLayout(layout, mode) {
+        const settings = getSettings();
+        const summary = { characters: 0, folders: 0, chats: 0, missingChats: [], unmatched: [], renamed: [] };
+        const globalIdMap = importGlobalFolders(layout, summary);
+
+        for (const entry of layout.characters) {
+            const character = matchImportedCharacter(entry);
+            if (!character) {
+                summary.unmatched.push(entry.name || entry.characterId || '?');
+                continue;
+            }
+
+            const characterId = getOwnerKey(character);
+            const files = await fetchCharacterChatFiles(character);
+            const localFiles = files ? new Map(files.map(f => [extractChatTitle(f), f])) : null;
+
+            if (mode === 'replace') {
+                (settings.characterFolders[characterId] || []).forEach(fid => delete settings.folders[fid]);
+                settings.characterFolders[characterId] = [];
+                getGlobalFolderIds().forEach(fid => setGlobalChats(settings.globalFolders[fid], characterId, []));
+            }
+            if (!settings.characterFolders[characterId]) settings.characterFolders[characterId] = [];
+            const charFolderIds = settings.characterFolders[characterId];
+
+            // Local file name for an imported chat, or null (reported) when it's gone
+            const resolveChat = (chat) => {
+                if (typeof chat !== 'string') return null;
+                if (!localFiles) return chat;
+                const fileName = localFiles.get(extractChatTitle(chat));
+                if (!fileName) summary.missingChats.push(`${character.name}: ${chat}`);
+                return fileName || null;
+            };
+
+            const idMap = {};
+            for (const imported of sortImportedFolders(entry.folders)) {
+                const parentId = (imported.parentId && idMap[imported.parentId]) || null;
+
+                let fid = mode === 'merge' ? charFolderIds.find(id =>
+                    settings.folders[id] &&
+                    settings.folders[id].name.toLowerCase() === imported.name.trim().toLowerCase() &&
+                    getParentId(settings.folders[id]) === parentId) : null;
+
+                if (!fid) {
+                    // Same rules as a folder made by hand; a clash gets a numbered name
+                    const name = availableFolderName(characterId, imported.name);
+                    if (name !== imported.name.trim()) summary.renamed.push(`${character.name}: ${imported.name} → ${name}`);
+                    fid = generateId();
+                    settings.folders[fid] = {
+                        name,
+                        chats: [],
+                        collapsed: !!imported.collapsed,
+                        order: getChildFolderIds(characterId, parentId).length,
+                        parentId,
+                        color: normalizeFolderColor(imported.color),
+                        icon: normalizeFolderIcon(imported.icon),
+                        description: typeof imported.description === 'string' ? imported.description.trim() : ''
+                    };
+                    charFolderIds.push(fid);
+                    summary.folders++;
+                }
+                idMap[imported.id] = fid;
+
+                for (const chat of imported.chats) {
+                    const fileName = resolveChat(chat);
+                    if (!fileName) continue;
+                    unfileImportedChat(characterId, fileName);
+                    settings.folders[fid].chats.push(fileName);
+                    summary.chats++;
+                }
+            }
+
+            for (const [importedId, chats] of Object.entries(entry.globalChats || {})) {
+                const folder = settings.globalFolders[globalIdMap[importedId]];
+                if (!folder) continue;
+                for (const chat of chats) {
+                    const fileName = resolveChat(chat);
+                    if (!fileName) continue;
+                    unfileImportedChat(characterId, fileName);
+                    setGlobalChats(folder, characterId, [...getGlobalChats(folder, characterId), fileName]);
+                    summary.chats++;
+                }
+            }
+            summary.characters++;
+        }
+
+        saveSettings();
+        scheduleSync();
+        return summary;
+    }
+
+    function importLayout(mode) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+
+        input.onchange = async () => {
+            const file = input.files && input.files[0];
+            if (!file) return;
+
+            try {
+                const layout = JSON.parse(await file.text());
+                validateLayout(layout);
+
+                if (mode === 'replace' &&
+                    !(await showConfirmDialog(`Replace the folders of ${layout.characters.length} character(s) with the imported ones?`, 'Replace'))) return;
+
+                const summary = await applyLayout(layout, mode);
+                toastr.success(`Imported ${summary.folders} new folder(s) and ${summary.chats} chat(s) for ${summary.characters} character(s)`);
+
+                if (summary.unmatched.length) {
+                    console.warn('[TMC] Import: no matching character for', summary.unmatched);
+                    toastr.warning(`${summary.unmatched.length} character(s) not found: ${summary.unmatched.join(', ')}`);
+                }
+                if (summary.renamed.length) {
+                    console.warn('[TMC] Import: folders renamed to avoid a clash', summary.renamed);
+                    toastr.info(`${summary.renamed.length} folder(s) were renamed to avoid a clash (see console)`);
+                }
+                if (summary.missingChats.length) {
+                    console.warn('[TMC] Import: chats that no longer exist', summary.missingChats);
+                    toastr.warning(`${summary.missingChats.length} chat(s) in the file no longer exist and were skipped (see console)`);
+                }
+            } catch (err) {
+                console.error('[TMC] Import failed:', err);
+                toastr.error(err instanceof SyntaxError ? 'The file is not valid JSON' : err.message);
+            }
+        };
+
+        input.click();
+    }
+
+    function showLayoutMenu(anchor) {
+        document.querySelectorAll('.tmc_ctx').forEach(m => m.remove());
+
+        const rect = anchor.getBoundingClientRect();
+        const menu = document.createElement('div');
+        menu.className = 'tmc_ctx';
+        menu.style.top = rect.bottom + 4 + 'px';
+        menu.style.left = rect.left + 'px';
+        menu.innerHTML = `
+            <div class="tmc_ctx_head">Export</div>
+            <div class="tmc_ctx_item" data-action="export-current"><i class="fa-solid fa-user"></i> This character</div>
+            <div class="tmc_ctx_item" data-action="export-all"><i class="fa-solid fa-users"></i> All characters</div>
+            <div class="tmc_ctx_sep"></div>
+            <div class="tmc_ctx_head">Import</div>
+            <div class="tmc_ctx_item" data-action="import-merge"><i class="fa-solid fa-code-merge"></i> Merge with current folders</div>
+            <div class="tmc_ctx_item tmc_ctx_danger" data-action="import-replace"><i class="fa-solid fa-file-import"></i> Replace current folders</div>
+        `;
+        document.body.appendChild(menu);
+
+        menu.onclick = (ev) => {
+            const item = ev.target.closest('.tmc_ctx_item');
+            if (!item) return;
+            menu.remove();
+
+            switch (item.dataset.action) {
+                case 'export-current': exportLayout('current'); break;
+                case 'export-all': exportLayout('all'); break;
+                case 'import-merge': importLayout('merge'); break;
+                case 'import-replace': importLayout('replace'); break;
+            }
+        };
+
+        setTimeout(() => {
+            document.addEventListener('click', () => menu.remove(), { once: true });
+        }, 50);
+    }
+
+    // ========== CHAT METADATA ==========
+
+    // Message counts, sizes and dates come from the server's chat list. It is
+    // fetched in the background and cached for the current character; the tree
+    // re-renders once it arrives.
+    const META_MAX_AGE = 60 * 1000;
+    const META_RETRY_AFTER = 5 * 1000;
+
+    let chatMeta = { characterId: null, byTitle: new Map(), fetchedAt: 0 };
+    let chatMetaLoading = false;
+
+    // Chat start time from SillyTavern's "Name - 2024-5-12@14h30m22s" file names
+    function parseChatCreated(fileName) {
+        const m = /(\d{4})-(\d{1,2})-(\d{1,2})\s*@(\d{1,2})h(\d{1,2})m(\d{1,2})s/.exec(fileName || '');
+        if (!m) return null;
+        return new Date(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]);
+    }
+
+    function parseLastActive(lastMes) {
+        if (!lastMes) return null;
+        const date = new Date(isNaN(lastMes) ? lastMes : Number(lastMes));
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    // "12.3 KB" style sizes (or plain byte counts) to bytes
+    function parseFileSize(size) {
+        if (typeof size === 'number') return size;
+        const m = /([\d.]+)\s*([kmg]?i?b)?/i.exec(size || '');
+        if (!m) return undefined;
+        const units = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+        return parseFloat(m[1]) * (units[(m[2] || 'b').toLowerCase().replace('i', '')] || 1);
+    }
+
+    // Whatever is known about a chat; fields are null/undefined until the list loads
+    function getChatMeta(fileName) {
+        const known = chatMeta.characterId === getCurrentCharacterId();
+        const entry = known ? chatMeta.byTitle.get(extractChatTitle(fileName)) : null;
+        return {
+            created: parseChatCreated(fileName),
+            lastActive: entry ? parseLastActive(entry.last_mes) : null,
+            messages: entry && entry.chat_items != null ? Number(entry.chat_items) : undefined,
+            size: entry ? parseFileSize(entry.file_size) : undefined
+        };
+    }
+
+    function refreshChatMeta(characterId, fileNames) {
+        if (chatMetaLoading) return;
+        const age = Date.now() - chatMeta.fetchedAt;
+        const missing = fileNames.some(f => !chatMeta.byTitle.has(extractChatTitle(f)));
+        const stale = chatMeta.characterId !== characterId || age > META_MAX_AGE || (missing && age > META_RETRY_AFTER);
+        if (!stale) return;
+
+        const character = findCharacterByKey(characterId);
+        if (!character) return;
+
+        chatMetaLoading = true;
+        fetchCharacterChats(character)
+            .then(chats => {
+                if (!chats || getCurrentCharacterId() !== characterId) return;
+                chatMeta = {
+                    characterId,
+                    byTitle: new Map(chats.map(c => [extractChatTitle(c.file_name), c])),
+                    fetchedAt: Date.now()
+                };
+                scheduleSync();
+            })
+            .finally(() => chatMetaLoading = false);
+    }
+
+    // ========== PINNED ==========
+
+    // An ordered list of file names per character, separate from folders: a
+    // pinned chat stays filed where it was and shows up in both places
+    function getPinnedChats(characterId) {
+        return (characterId && getSettings().pinned[characterId]) || [];
+    }
+
+    function isPinned(characterId, fileName) {
+        return getPinnedChats(characterId).includes(fileName);
+    }
+
+    // New pins go to the bottom; existing ones keep their place
+    function pinChats(characterId, fileNames, pin) {
+        if (!characterId) return;
+        const settings = getSettings();
+        const files = Array.isArray(fileNames) ? fileNames : [fileNames];
+        const pins = getPinnedChats(characterId);
+
+        const next = pin
+            ? [...pins, ...files.filter(f => !pins.includes(f))]
+            : pins.filter(f => !files.includes(f));
+
+        if (next.length) settings.pinned[characterId] = next;
+        else delete settings.pinned[characterId];
+        saveSettings();
+        scheduleSync();
+    }
+
+    function shiftPin(characterId, fileName, delta) {
+        const pins = getPinnedChats(characterId).slice();
+        const idx = pins.indexOf(fileName);
+        const swap = idx + delta;
+        if (idx < 0 || swap < 0 || swap >= pins.length) return;
+
+        [pins[idx], pins[swap]] = [pins[swap], pins[idx]];
+        getSettings().pinned[characterId] = pins;
+        saveSettings();
+        scheduleSync();
+    }
+
+    // ========== ARCHIVE ==========
+
+    // archived[characterId][fileName] = { from, at, auto? }: the folder the chat
+    // left (null for "Your chats"), when, and whether a rule did it. Archived
+    // chats are out of every folder and hidden until "Show archived" is on.
+    // archiveKeep[characterId][fileName] is when a chat last came out of the
+    // archive, so auto-archiving gives it a full period before taking it again.
+    // lastOpened[characterId][chat title] is when the chat was last opened.
+    let showArchived = false;
+    // characterId -> time of the last auto-archive pass this session
+    const autoArchiveRuns = new Map();
+
+    function getArchivedChats(characterId) {
+        return (characterId && getSettings().archived[characterId]) || {};
+    }
+
+    function isArchived(characterId, fileName) {
+        return Object.hasOwn(getArchivedChats(characterId), fileName);
+    }
+
+    // Works on the current character, like moveChat
+    function archiveChats(characterId, fileNames, auto = false) {
+        if (!characterId || characterId !== getCurrentCharacterId()) return;
+        const settings = getSettings();
+        const files = fileNames.filter(f => !isArchived(characterId, f));
+        if (files.length === 0) return;
+
+        const from = new Map(files.map(f => [f, getFolderForChat(f)]));
+        moveChat(files, 'uncategorized');
+
+        const entries = settings.archived[characterId] = settings.archived[characterId] || {};
+        const at = Date.now();
+        files.forEach(f => {
+            entries[f] = { from: from.get(f) === 'uncategorized' ? null : from.get(f), at };
+            if (auto) entries[f].auto = true;
+        });
+
+        const keep = settings.archiveKeep[characterId];
+        if (keep) {
+            files.forEach(f => delete keep[f]);
+            if (Object.keys(keep).length === 0) delete settings.archiveKeep[characterId];
+        }
+
+        const pinned = files.filter(f => isPinned(characterId, f));
+        if (pinned.length) pinChats(characterId, pinned, false);
+        saveSettings();
+        scheduleSync();
+    }
+
+    // Chats go back to the folder they were archived from; moveChat falls back
+    // to "Your chats" when that folder is gone
+    function unarchiveChats(characterId, fileNames) {
+        const archived = getArchivedChats(characterId);
+        const groups = new Map();
+        fileNames.filter(f => archived[f]).forEach(f => {
+            const target = archived[f].from || 'uncategorized';
+            if (!groups.has(target)) groups.set(target, []);
+            groups.get(target).push(f);
+        });
+        groups.forEach((files, target) => moveChat(files, target));
+    }
+
+    // Called by moveChat for every chat that is filed anywhere but the archive
+    function releaseFromArchive(characterId, files) {
+        const settings = getSettings();
+        const archived = settings.archived[characterId];
+        const released = archived ? files.filter(f => archived[f]) : [];
+        if (released.length === 0) return;
+
+        const keep = settings.archiveKeep[characterId] = settings.archiveKeep[characterId] || {};
+        const now = Date.now();
+        released.forEach(f => {
+            delete archived[f];
+            keep[f] = now;
+        });
+        if (Object.keys(archived).length === 0) delete settings.archived[characterId];
+    }
+
+    function rememberChatOpened() {
+        const context = SillyTavern.getContext();
+        const characterId = getCurrentCharacterId();
+        const chatId = context.getCurrentChatId ? context.getCurrentChatId() : null;
+        if (!characterId || !chatId) return;
+
+        const settings = getSettings();
+        const opened = settings.lastOpened[characterId] = settings.lastOpened[characterId] || {};
+        opened[extractChatTitle(chatId)] = Date.now();
+        saveSettings();
+    }
+
+    // Option autoArchiveDays: chats neither opened nor written in for that many
+    // days are archived, at most once a day per character. Pinned chats are left
+    // alone, and the pass is one undo step.
+    function autoArchive(characterId, fileNames) {
+        const days = getOption('autoArchiveDays');
+        if (!days || readOnlySettings) return;
+        // Last-message dates arrive with the chat list; until then nothing looks old
+        if (chatMeta.characterId !== characterId) return;
+        const now = Date.now();
+        if (now - (autoArchiveRuns.get(characterId) || 0) < DAY_MS) return;
+        autoArchiveRuns.set(characterId, now);
+
+        const limit = now - days * DAY_MS;
+        const settings = getSettings();
+        const keep = settings.archiveKeep[characterId] || {};
+        const opened = settings.lastOpened[characterId] || {};
+        const stale = fileNames.filter(f => {
+            if (isArchived(characterId, f) || isPinned(characterId, f) || keep[f] > limit) return false;
+            if (opened[extractChatTitle(f)] > limit) return false;
+            const lastActive = getChatMeta(f).lastActive;
+            return !!lastActive && lastActive.getTime() < limit;
+        });
+        if (stale.length === 0) return;
+
+        recordHistory(`Archived ${stale.length} chat(s) not opened for ${days} days`, () => archiveChats(characterId, stale, true));
+    }
+
+    function createArchiveDOM() {
+        const section = document.createElement('div');
+        section.className = 'tmc_section tmc_archive';
+        section.dataset.id = 'archive';
+
+        const header = document.createElement('div');
+        header.className = 'tmc_header';
+        header.title = 'Archived chats. Drop chats here to archive them';
+        header.innerHTML = `
+            <div class="tmc_header_left">
+                <input type="checkbox" class="tmc_select_all" title="Select all archived">
+                <span class="tmc_icon"><i class="fa-solid fa-box-archive"></i></span>
+                <span class="tmc_name">Archive</span>
+                <span class="tmc_count">0</span>
+            </div>
+        `;
+
+        attachSelectAll(header);
+
+        const content = document.createElement('div');
+        content.className = 'tmc_content';
+
+        section.appendChild(header);
+        section.appendChild(content);
+        return section;
+    }
+
+    function refreshArchiveButton(popup, characterId) {
+        const btn = popup.querySelector('.tmc_archive_btn');
+        if (!btn) return;
+        const count = Object.keys(getArchivedChats(characterId)).length;
+        btn.classList.toggle('tmc_active', showArchived);
+        btn.title = `${showArchived ? 'Hide' : 'Show'} archived chats (${count})`;
+    }
+
+    // ========== TAGS ==========
+
+    // chatTags[characterId][fileName] = ['Canon', 'Favorite']. Unlike folders a
+    // chat can carry any number of tags.
+    const MAX_TAG_LENGTH = 40;
+
+    // Session only: chats must carry every tag in it to be shown
+    const tagFilter = new Set();
+    // Session only: collapsed sections of the tag view
+    const collapsedTags = new Set();
+
+    function getChatTags(characterId, fileName) {
+        const byChat = characterId && getSettings().chatTags[characterId];
+        return (byChat && byChat[fileName]) || [];
+    }
+
+    // Every tag the character's chats use, A→Z, with how many chats carry it
+    function getCharacterTags(characterId) {
+        const counts = new Map();
+        Object.values(getSettings().chatTags[characterId] || {}).forEach(tags => {
+            tags.forEach(t => counts.set(t, (counts.get(t) || 0) + 1));
+        });
+        return [...counts.entries()]
+            .sort((a, b) => a[0].localeCompare(b[0], undefined, { sensitivity: 'base' }))
+            .map(([name, count]) => ({ name, count }));
+    }
+
+    function normalizeTagName(value) {
+        return String(value || '').replace(/[,\s]+/g, ' ').trim().slice(0, MAX_TAG_LENGTH);
+    }
+
+    // add/remove are tag names applied to every chat in fileNames
+    function updateChatTags(characterId, fileNames, { add = [], remove = [] }) {
+        if (!characterId) return;
+        const settings = getSettings();
+        const byChat = settings.chatTags[characterId] || (settings.chatTags[characterId] = {});
+
+        fileNames.forEach(f => {
+            const tags = (byChat[f] || []).filter(t => !remove.includes(t));
+            add.forEach(t => {
+                if (!tags.includes(t)) tags.push(t);
+            });
+            if (tags.length) byChat[f] = tags;
+            else delete byChat[f];
+        });
+
+        if (Object.keys(byChat).length === 0) delete settings.chatTags[characterId];
+        saveSettings();
+        scheduleSync();
+    }
+
+    function chatMatchesTagFilter(characterId, fileName) {
+        if (tagFilter.size === 0) return true;
+        const tags = getChatTags(characterId, fileName);
+        return [...tagFilter].every(t => tags.includes(t));
+    }
+
+    // A filter on a tag this character doesn't use would hide everything
+    function pruneTagFilter(characterId) {
+        const known = new Set(getCharacterTags(characterId).map(t => t.name));
+        [...tagFilter].forEach(t => {
+            if (!known.has(t)) tagFilter.delete(t);
+        });
+    }
+
+    function toggleTagFilter(tag) {
+        if (tagFilter.has(tag)) tagFilter.delete(tag);
+        else tagFilter.add(tag);
+        scheduleSync();
+    }
+
+    function setViewMode(mode) {
+        getSettings().viewMode = mode === 'tags' ? 'tags' : 'folders';
+        saveSettings();
+        scheduleSync();
+    }
+
+    function createTagChips(tags) {
+        const wrap = document.createElement('div');
+        wrap.className = 'tmc_tags';
+        tags.forEach(tag => {
+            const chip = document.createElement('span');
+            chip.className = tagFilter.has(tag) ? 'tmc_tag tmc_tag_active' : 'tmc_tag';
+            chip.textContent = tag;
+            chip.title = tagFilter.has(tag) ? `Stop filtering by "${tag}"` : `Show only chats tagged "${tag}"`;
+            chip.onclick = (e) => {
+                e.stopPropagation();
+                toggleTagFilter(tag);
+            };
+            wrap.appendChild(chip);
+        });
+        return wrap;
+    }
+
+    // One section per tag, plus "Untagged"; a chat with several tags shows in each
+    function buildTagView(newTree, characterId, chatData) {
+        const sections = getCharacterTags(characterId).map(({ name }) => {
+            const section = createTagSectionDOM(name);
+            newTree.appendChild(section);
+            return { section, chats: chatData.filter(chat => getChatTags(characterId, chat.fileName).includes(name)) };
+        });
+
+        const untagged = createTagSectionDOM(null);
+        newTree.appendChild(untagged);
+        sections.push({ section: untagged, chats: chatData.filter(chat => getChatTags(characterId, chat.fileName).length === 0) });
+
+        sections.forEach(({ section, chats }) => {
+            const content = section.querySelector('.tmc_content');
+            chats.forEach(chat => content.appendChild(createProxyBlock(chat)));
+            section.querySelector(':scope > .tmc_header .tmc_count').textContent = chats.length;
+            if (chats.length === 0) section.style.display = 'none';
+        });
+    }
+
+    function createTagSectionDOM(tag) {
+        const key = tag === null ? 'untagged' : `tag:${tag}`;
+        const collapsed = collapsedTags.has(key);
+
+        const section = document.createElement('div');
+        section.className = tag === null ? 'tmc_section tmc_tag_section tmc_untagged' : 'tmc_section tmc_tag_section';
+        section.dataset.id = key;
+        if (tag !== null) section.dataset.tag = tag;
+        section.dataset.collapsed = collapsed ? 'true' : 'false';
+
+        const header = document.createElement('div');
+        header.className = 'tmc_header';
+        header.tabIndex = 0;
+        header.setAttribute('role', 'button');
+        header.setAttribute('aria-expanded', collapsed ? 'false' : 'true');
+        header.innerHTML = `
+            <div class="tmc_header_left">
+                <input type="checkbox" class="tmc_select_all" title="Select all with this tag">
+                <span class="tmc_toggle"><i class="fa-solid fa-chevron-down"></i></span>
+                <span class="tmc_icon"><i class="fa-solid ${tag === null ? 'fa-tag tmc_muted_icon' : 'fa-tag'}"></i></span>
+                <span class="tmc_name">${tag === null ? 'Untagged' : escapeHtml(tag)}</span>
+                <span class="tmc_count">0</span>
+            </div>
+        `;
+
+        header.querySelector('.tmc_header_left').onclick = () => {
+            if (collapsedTags.has(key)) collapsedTags.delete(key);
+            else collapsedTags.add(key);
+            scheduleSync();
+        };
+        attachSelectAll(header);
+
+        const content = document.createElement('div');
+        content.className = 'tmc_content';
+        content.style.display = collapsed ? 'none' : '';
+
+        section.appendChild(header);
+        section.appendChild(content);
+        return section;
+    }
+
+    // Existing tags as checkboxes (half-checked when only some of the chats have
+    // it, left alone unless clicked) plus a field for new ones
+    async function editChatTags(fileNames) {
+        const characterId = getCurrentCharacterId();
+        if (!characterId) return;
+
+        const known = getCharacterTags(characterId).map(t => t.name);
+        const form = document.createElement('div');
+        form.className = 'tmc_dialog tmc_form';
+        form.innerHTML = `
+            <h3>${fileNames.length > 1 ? `Tags of ${fileNames.length} chats` : `Tags of "${escapeHtml(extractChatTitle(fileNames[0]))}"`}</h3>
+            ${known.length ? '' : '<p class="tmc_muted">No tags yet. Add the first ones below.</p>'}
+            <div class="tmc_tag_choices">
+                ${known.map((tag, i) => `<label class="checkbox_label"><input type="checkbox" data-index="${i}"> ${escapeHtml(tag)}</label>`).join('')}
+            </div>
+            <label>Add tags (comma separated) <input class="text_pole" name="newTags" placeholder="Canon, Favorite"></label>
+        `;
+
+        form.querySelectorAll('[data-index]').forEach(box => {
+            const tag = known[box.dataset.index];
+            const having = fileNames.filter(f => getChatTags(characterId, f).includes(tag)).length;
+            box.checked = having === fileNames.length;
+            box.indeterminate = having > 0 && having < fileNames.length;
+        });
+
+        if (!(await showFormDialog(form))) return;
+
+        const add = [];
+        const remove = [];
+        form.querySelectorAll('[data-index]').forEach(box => {
+            if (box.indeterminate) return;
+            (box.checked ? add : remove).push(known[box.dataset.index]);
+        });
+        form.querySelector('[name="newTags"]').value.split(',').map(normalizeTagName).filter(Boolean).forEach(tag => {
+            if (!add.includes(tag)) add.push(tag);
+        });
+
+        updateChatTags(characterId, fileNames, { add, remove: remove.filter(t => !add.includes(t)) });
+        if (fileNames.length > 1) clearSelection();
+    }
+
+    function refreshTagButton(popup, characterId) {
+        const btn = popup.querySelector('.tmc_tag_btn');
+        if (!btn) return;
+        const active = !!characterId && (tagFilter.size > 0 || getSettings().viewMode === 'tags');
+        btn.classList.toggle('tmc_active', active);
+        btn.title = tagFilter.size > 0
+            ? `Filtered by: ${[...tagFilter].join(', ')}`
+            : 'Filter by tag / group by tag';
+    }
+
+    function showTagMenu(anchor) {
+        document.querySelectorAll('.tmc_ctx').forEach(m => m.remove());
+
+        const tags = getCharacterTags(getCurrentCharacterId());
+        const tagView = getSettings().viewMode === 'tags';
+
+        const rect = anchor.getBoundingClientRect();
+        const menu = document.createElement('div');
+        menu.className = 'tmc_ctx';
+        menu.style.top = rect.bottom + 4 + 'px';
+        menu.style.left = rect.left + 'px';
+
+        let html = '<div class="tmc_ctx_head">View</div>';
+        html += `<div class="tmc_ctx_item${tagView ? '' : ' tmc_ctx_current'}" data-view="folders"><i class="fa-solid fa-folder-tree"></i> Folders</div>`;
+        html += `<div class="tmc_ctx_item${tagView ? ' tmc_ctx_current' : ''}" data-view="tags"><i class="fa-solid fa-tags"></i> Group by tag</div>`;
+        html += '<div class="tmc_ctx_sep"></div>';
+        html += '<div class="tmc_ctx_head">Show only chats tagged</div>';
+        if (tags.length === 0) {
+            html += '<div class="tmc_ctx_head">No tags yet. Right-click a chat → Tags…</div>';
+        }
+        tags.forEach(({ name, count }, i) => {
+            const current = tagFilter.has(name) ? ' tmc_ctx_current' : '';
+            html += `<div class="tmc_ctx_item${current}" data-tag-index="${i}"><i class="fa-solid fa-tag"></i> ${escapeHtml(name)} <span class="tmc_muted">${count}</span></div>`;
+        });
+        if (tagFilter.size > 0) {
+            html += '<div class="tmc_ctx_item" data-action="clear-filter"><i class="fa-solid fa-xmark"></i> Clear tag filter</div>';
+        }
+
+        menu.innerHTML = html;
+        document.body.appendChild(menu);
+
+        menu.onclick = (ev) => {
+            const item = ev.target.closest('.tmc_ctx_item');
+            if (!item) return;
+            menu.remove();
+
+            if (item.dataset.view) {
+                setViewMode(item.dataset.view);
+            } else if (item.dataset.tagIndex !== undefined) {
+                toggleTagFilter(tags[item.dataset.tagIndex].name);
+            } else if (item.dataset.action === 'clear-filter') {
+                tagFilter.clear();
+                scheduleSync();
+            }
+        };
+
+        setTimeout(() => {
+            document.addEventListener('click', () => menu.remove(), { once: true });
+        }, 50);
+    }
+
+    // ========== SEARCH ==========
+
+    const SEARCH_INPUT_SELECTOR = '#select_chat_search, input[type="search"], input[type="text"], .search_input';
+
+    function getSearchText(popup) {
+        const input = popup.querySelector(SEARCH_INPUT_SELECTOR);
+        return input ? input.value : '';
+    }
+
+    // Plain words must all appear in the chat's name or preview. folder:Name
+    // (or folder:"Two words") keeps chats whose folder, or any parent folder,
+    // has Name in its title.
+    function parseSearchQuery(text) {
+        const query = { terms: [], folders: [] };
+        const re = /folder:(?:"([^"]*)"|(\S*))|(\S+)/gi;
+        let m;
+        while ((m = re.exec(text || '')) !== null) {
+            const folder = m[1] !== undefined ? m[1] : m[2];
+            if (folder !== undefined) {
+                if (folder.trim()) query.folders.push(folder.trim().toLowerCase());
+            } else {
+                query.terms.push(m[3].toLowerCase());
+            }
+        }
+        return query;
+    }
+
+    function isSearchActive(query) {
+        return query.terms.length > 0 || query.folders.length > 0;
+    }
+
+    function getSectionPath(block) {
+        const names = [];
+        let section = block.closest('.tmc_section');
+        while (section) {
+            const name = section.querySelector(':scope > .tmc_header .tmc_name');
+            if (name) names.push(name.textContent.toLowerCase());
+            section = section.parentElement && section.parentElement.closest('.tmc_section');
+        }
+        return names;
+    }
+
+    function chatMatchesSearch(block, query) {
+        const text = `${block.getAttribute('file_name')} ${block.textContent}`.toLowerCase();
+        if (!query.terms.every(term => text.includes(term))) return false;
+        if (!query.folders.length) return true;
+        const path = getSectionPath(block);
+        return query.folders.every(f => path.some(name => name.includes(f)));
+    }
+
+    // chatMatchesSearch for a chat that has no block on screen; list is the
+    // virtual list it belongs to, for the folder path
+    const searchTextCache = new Map();
+
+    function chatDataMatchesSearch(chat, list, query) {
+        let cached = searchTextCache.get(chat.fileName);
+        if (!cached || cached.html !== chat.html) {
+            const scratch = document.createElement('template');
+            scratch.innerHTML = chat.html;
+            cached = { html: chat.html, text: scratch.content.textContent };
+            searchTextCache.set(chat.fileName, cached);
+        }
+        const tags = getChatTags(getCurrentCharacterId(), chat.fileName).join(' ');
+        const text = `${chat.fileName} ${cached.text} ${tags}`.toLowerCase();
+        if (!query.terms.every(term => text.includes(term))) return false;
+        if (!query.folders.length) return true;
+        const path = getSectionPath(list);
+        return query.folders.every(f => path.some(name => name.includes(f)));
+    }
+
+    function clearHighlights(block) {
+        const marks = block.querySelectorAll('mark.tmc_highlight');
+        if (!marks.length) return;
+        marks.forEach(mark => mark.replaceWith(mark.textContent));
+        block.normalize();
+    }
+
+    function highlightTerms(block, terms) {
+        if (!terms.length) return;
+        const pattern = new RegExp(terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'gi');
+
+        const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+
+        nodes.forEach(node => {
+            const text = node.nodeValue;
+            pattern.lastIndex = 0;
+            if (!pattern.test(text)) return;
+            pattern.lastIndex = 0;
+
+            const frag = document.createDocumentFragment();
+            let last = 0;
+            let m;
+            while ((m = pattern.exec(text)) !== null) {
+                if (!m[0]) break;
+                frag.appendChild(document.createTextNode(text.slice(last, m.index)));
+                const mark = document.createElement('mark');
+                mark.className = 'tmc_highlight';
+                mark.textContent = m[0];
+                frag.appendChild(mark);
+                last = m.index + m[0].length;
+            }
+            frag.appendChild(document.createTextNode(text.slice(last)));
+            node.replaceWith(frag);
+        });
+    }
+
+    // Filters the proxies already in the tree, so typing never waits for a sync.
+    // Folders with hits open for the duration of the search without touching
+    // their saved collapsed state; badges read "hits/total".
+    function applySearch(root, query) {
+        const active = isSearchActive(query);
+        root.classList.toggle('tmc_searching', active);
+
+        root.querySelectorAll('.tmc_proxy_block').forEach(block => {
+            // Rows of virtual lists are filtered and highlighted by the list itself
+            if (block.parentElement.classList.contains('tmc_virtual')) return;
+            clearHighlights(block);
+            const hit = !active || chatMatchesSearch(block, query);
+            block.classList.toggle('tmc_search_miss', !hit);
+            if (active && hit) highlightTerms(block, query.terms);
+        });
+
+        const filtered = [];
+        root.querySelectorAll('.tmc_virtual').forEach(el => {
+            const list = virtualLists.get(el);
+            if (!active && !list.query) return;
+            list.query = active ? query : null;
+            list.visible = active ? list.chats.filter(chat => chatDataMatchesSearch(chat, el, query)) : list.chats;
+            filtered.push(el);
+        });
+
+        root.querySelectorAll('.tmc_section').forEach(section => {
+            const content = section.querySelector(':scope > .tmc_content');
+            const total = listShownChats(content).length;
+            const hits = listShownChats(content, { hitsOnly: true }).length;
+
+            const badge = section.querySelector(':scope > .tmc_header .tmc_count');
+            if (badge) badge.textContent = active ? `${hits}/${total}` : total;
+
+            section.classList.toggle('tmc_search_open', active && hits > 0);
+            section.classList.toggle('tmc_search_empty', active && hits === 0);
+        });
+
+        // Only now are matching sections open, so the lists can tell what's on screen
+        filtered.forEach(el => renderVirtualList(el));
+    }
+
+    // SillyTavern's own handler re-renders the native list from a server-side
+    // search, which knows nothing about folder: filters. The tree takes the box
+    // over instead, stopping the event before it reaches the input.
+    function initSearch(popup) {
+        if (popup.dataset.tmcSearch) return;
+        popup.dataset.tmcSearch = 'true';
+
+        popup.addEventListener('input', (e) => {
+            if (!e.target.matches || !e.target.matches(SEARCH_INPUT_SELECTOR)) return;
+            const root = popup.querySelector('#tmc_proxy_root');
+            if (!root || !getOption('enabled')) return;
+            e.stopImmediatePropagation();
+            applySearch(root, parseSearchQuery(e.target.value));
+            refreshSelectionUI(root);
+        }, true);
+    }
+
+    // ========== SORTING ==========
+
+    const SORT_MODES = {
+        default: 'SillyTavern order',
+        modified: 'Last modified',
+        created: 'Created',
+        name: 'Name',
+        messages: 'Message count',
+        size: 'File size',
+        manual: 'Manual (drag to reorder)'
+    };
+
+    // Where a section keeps its sort mode: the folder, the smart folder, or the
+    // character's "Your chats" entry
+    function getSortHolder(characterId, sectionId, create = false) {
+        const settings = getSettings();
+        if (sectionId === 'uncategorized') {
+            if (!characterId) return null;
+            if (!settings.uncategorized[characterId] && create) settings.uncategorized[characterId] = { sort: 'default', order: [] };
+            return settings.uncategorized[characterId] || null;
+        }
+        return getAnyFolder(sectionId) || settings.smartFolders.find(s => s.id === sectionId) || null;
+    }
+
+    function getSortMode(characterId, sectionId) {
+        if (sectionId === 'pinned') return 'manual';
+        const holder = getSortHolder(characterId, sectionId);
+        return holder && SORT_MODES[holder.sort] ? holder.sort : 'default';
+    }
+
+    // Manual order of a folder is simply the order of folder.chats
+    function getManualOrder(characterId, sectionId) {
+        if (sectionId === 'pinned') return getPinnedChats(characterId);
+        if (sectionId === 'uncategorized') {
+            const holder = getSortHolder(characterId, sectionId);
+            return (holder && holder.order) || [];
+        }
+        if (isGlobalFolder(sectionId)) return getGlobalChats(getSettings().globalFolders[sectionId], characterId);
+        const folder = getSettings().folders[sectionId];
+        return (folder && folder.chats) || [];
+    }
+
+    function setManualOrder(characterId, sectionId, order) {
+        if (sectionId === 'pinned') {
+            const pins = getPinnedChats(characterId);
+            getSettings().pinned[characterId] = [...order.filter(f => pins.includes(f)), ...pins.filter(f => !order.includes(f))];
+        } else if (sectionId === 'uncategorized') {
+            getSortHolder(characterId, sectionId, true).order = order;
+        } else if (isGlobalFolder(sectionId)) {
+            const folder = getSettings().globalFolders[sectionId];
+            const chats = getGlobalChats(folder, characterId);
+            setGlobalChats(folder, characterId, [...order.filter(f => chats.includes(f)), ...chats.filter(f => !order.includes(f))]);
+        } else {
+            const folder = getSettings().folders[sectionId];
+            if (!folder) return;
+            // Names that aren't on screen (e.g. not listed right now) keep their place at the end
+            const rest = (folder.chats || []).filter(f => !order.includes(f));
+            folder.chats = [...order.filter(f => (folder.chats || []).includes(f)), ...rest];
+        }
+        saveSettings();
+        scheduleSync();
+    }
+
+    // Switching to manual keeps whatever order is on screen right now
+    function setSortMode(characterId, section, mode) {
+        const sectionId = section.dataset.id;
+        const holder = getSortHolder(characterId, sectionId, true);
+        if (!holder) return;
+
+        const previous = getSortMode(characterId, sectionId);
+        holder.sort = mode;
+
+        if (mode === 'manual' && previous !== 'manual') {
+            const onScreen = getSectionChatNames(section.querySelector(':scope > .tmc_content'));
+            setManualOrder(characterId, sectionId, onScreen);
+            return;
+        }
+        saveSettings();
+        scheduleSync();
+    }
+
+    function compareMissingLast(a, b, descending) {
+        const hasA = a !== null && a !== undefined;
+        const hasB = b !== null && b !== undefined;
+        if (!hasA || !hasB) return hasA === hasB ? 0 : (hasA ? -1 : 1);
+        return descending ? b - a : a - b;
+    }
+
+    // Newest/largest first for dates and sizes, A→Z for names. Chats without the
+    // needed metadata (list still loading) go last.
+    function sortChats(chats, mode, manualOrder = []) {
+        if (mode === 'default' || !SORT_MODES[mode]) return chats;
+
+        if (mode === 'manual') {
+            const rank = new Map(manualOrder.map((f, i) => [f, i]));
+            return chats
+                .map((chat, i) => ({ chat, key: rank.has(chat.fileName) ? rank.get(chat.fileName) : manualOrder.length + i }))
+                .sort((a, b) => a.key - b.key)
+                .map(k => k.chat);
+        }
+
+        const compare = {
+            modified: (a, b) => compareMissingLast(a.meta.lastActive, b.meta.lastActive, true),
+            created: (a, b) => compareMissingLast(a.meta.created, b.meta.created, true),
+            name: (a, b) => a.chat.title.localeCompare(b.chat.title, undefined, { numeric: true, sensitivity: 'base' }),
+            messages: (a, b) => compareMissingLast(a.meta.messages, b.meta.messages, true),
+            size: (a, b) => compareMissingLast(a.meta.size, b.meta.size, true)
+        }[mode];
+
+        return chats
+            .map(chat => ({ chat, meta: getChatMeta(chat.fileName) }))
+            .sort(compare)
+            .map(k => k.chat);
+    }
+
+    function attachSortButton(header) {
+        const btn = header.querySelector('.tmc_sort');
+        if (!btn) return;
+        btn.onclick = (e) => {
+            e.stopPropagation();
+            showSortMenu(btn, header.parentElement);
+        };
+    }
+
+    function showSortMenu(anchor, section) {
+        document.querySelectorAll('.tmc_ctx').forEach(m => m.remove());
+
+        const characterId = getCurrentCharacterId();
+        const current = getSortMode(characterId, section.dataset.id);
+        // Smart folders are recomputed each time, so there is nothing to hand-order
+        const modes = Object.keys(SORT_MODES).filter(m => m !== 'manual' || !section.classList.contains('tmc_smart'));
+
+        const rect = anchor.getBoundingClientRect();
+        const menu = document.createElement('div');
+        menu.className = 'tmc_ctx';
+        menu.style.top = rect.bottom + 4 + 'px';
+        menu.style.left = rect.left + 'px';
+        menu.innerHTML = '<div class="tmc_ctx_head">Sort by</div>' + modes.map(mode =>
+            `<div class="tmc_ctx_item${mode === current ? ' tmc_ctx_current' : ''}" data-mode="${mode}">${escapeHtml(SORT_MODES[mode])}</div>`
+        ).join('');
+        document.body.appendChild(menu);
+
+        menu.onclick = (ev) => {
+            const item = ev.target.closest('.tmc_ctx_item');
+            if (!item) return;
+            menu.remove();
+            setSortMode(characterId, section, item.dataset.mode);
+        };
+
+        setTimeout(() => {
+            document.addEventListener('click', () => menu.remove(), { once: true });
+        }, 50);
+    }
+
+    // ========== FOLDER APPEARANCE ==========
+
+    const DEFAULT_FOLDER_ICON = 'fa-solid fa-folder';
+    const FOLDER_ICONS = [
+        'fa-folder', 'fa-star', 'fa-heart', 'fa-bookmark', 'fa-book', 'fa-feather',
+        'fa-dragon', 'fa-hat-wizard', 'fa-ghost', 'fa-robot', 'fa-masks-theater', 'fa-briefcase',
+        'fa-flask', 'fa-gamepad', 'fa-music', 'fa-mug-hot', 'fa-moon', 'fa-fire', 'fa-leaf', 'fa-box-archive'
+    ];
+    const FA_STYLES = ['fa-solid', 'fa-regular', 'fa-brands'];
+
+    // '#rrggbb' or null; anything else would end up inside a style attribute
+    function normalizeFolderColor(value) {
+        return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value.trim()) ? value.trim().toLowerCase() : null;
+    }
+
+    // Accepts "fa-star" or "fa-regular fa-star"; a bare icon gets the solid style
+    function normalizeFolderIcon(value) {
+        if (typeof value !== 'string') return null;
+        const tokens = value.trim().split(/\s+/).filter(Boolean);
+        if (!tokens.length || !tokens.every(t => /^fa-[a-z0-9-]+$/.test(t))) return null;
+        if (!tokens.some(t => FA_STYLES.includes(t))) tokens.unshift('fa-solid');
+        return tokens.join(' ');
+    }
+
+    function getFolderIconClass(folder, fallback = DEFAULT_FOLDER_ICON) {
+        return normalizeFolderIcon(folder && folder.icon) || fallback;
+    }
+
+    function getReadableTextColor(hex) {
+        const n = parseInt(hex.slice(1), 16);
+        const luma = ((n >> 16) & 255) * 0.299 + ((n >> 8) & 255) * 0.587 + (n & 255) * 0.114;
+        return luma > 150 ? '#000' : '#fff';
+    }
+
+    // The color drives the icon, the header stripe and the count badge through CSS variables
+    function applyFolderColor(section, value) {
+        const color = normalizeFolderColor(value);
+        if (!color) return;
+        section.dataset.color = color;
+        section.style.setProperty('--tmc-folder-color', color);
+        section.style.setProperty('--tmc-folder-text', getReadableTextColor(color));
+    }
+
+    function updateFolderAppearance(folderId, { color, icon, description }) {
+        const folder = getAnyFolder(folderId);
+        if (!folder) return;
+        folder.color = normalizeFolderColor(color);
+        folder.icon = normalizeFolderIcon(icon);
+        folder.description = (description || '').trim();
+        saveSettings();
+        scheduleSync();
+    }
+
+    async function editFolder(folderId) {
+        const folder = getAnyFolder(folderId);
+        if (!folder) return;
+
+        const currentIcon = getFolderIconClass(folder, isGlobalFolder(folderId) ? GLOBAL_FOLDER_ICON : DEFAULT_FOLDER_ICON);
+        const form = document.createElement('div');
+        form.className = 'tmc_dialog tmc_form';
+        form.innerHTML = `
+            <h3>Edit folder</h3>
+            <label>Name <input class="text_pole" name="name" maxlength="${MAX_FOLDER_NAME_LENGTH}" value="${escapeHtml(folder.name)}"></label>
+            <label>Description <textarea class="text_pole" name="description" rows="2" placeholder="Optional note, shown on the folder header">${escapeHtml(folder.description || '')}</textarea></label>
+            <div class="tmc_form_row">
+                <label>Color <input type="color" name="color" value="${normalizeFolderColor(folder.color) || '#888888'}"></label>
+                <label class="checkbox_label"><input type="checkbox" name="noColor" ${folder.color ? '' : 'checked'}> No color</label>
+            </div>
+            <div class="tmc_icon_grid">
+                ${FOLDER_ICONS.map(icon => `<span class="tmc_icon_choice${currentIcon === `fa-solid ${icon}` ? ' selected' : ''}" data-icon="fa-solid ${icon}" title="${icon}"><i class="fa-solid ${icon}"></i></span>`).join('')}
+            </div>
+            <label>Icon (any Font Awesome class) <input class="text_pole" name="icon" value="${escapeHtml(currentIcon)}"></label>
+        `;
+
+        const iconInput = form.querySelector('[name="icon"]');
+        const markIcon = () => {
+            const value = normalizeFolderIcon(iconInput.value);
+            form.querySelectorAll('.tmc_icon_choice').forEach(c => c.classList.toggle('selected', c.dataset.icon === value));
+        };
+        form.querySelector('.tmc_icon_grid').addEventListener('click', (e) => {
+            const choice = e.target.closest('.tmc_icon_choice');
+            if (!choice) return;
+            iconInput.value = choice.dataset.icon;
+            markIcon();
+        });
+        iconInput.addEventListener('input', markIcon);
+        form.querySelector('[name="color"]').addEventListener('input', () => {
+            form.querySelector('[name="noColor"]').checked = false;
+        });
+
+        const nameInput = form.querySelector('[name="name"]');
+        const owner = getFolderOwner(folderId) || getCurrentCharacterId();
+        if (!(await showFormDialog(form, 'Save', () => validateFolderName(owner, nameInput.value, folderId)))) return;
+
+        const name = nameInput.value.trim();
+        if (iconInput.value.trim() && !normalizeFolderIcon(iconInput.value)) {
+            toastr.warning('Unknown icon class, keeping the default folder icon');
+        }
+
+        const oldName = folder.name;
+        recordHistory(name !== oldName ? `Rename folder "${oldName}" to "${name}"` : `Edit folder "${oldName}"`, () => {
+            updateFolderAppearance(folderId, {
+                color: form.querySelector('[name="noColor"]').checked ? null : form.querySelector('[name="color"]').value,
+                icon: iconInput.value,
+                description: form.querySelector('[name="description"]').value
+            });
+            if (name !== oldName) renameFolder(folderId, name);
+        });
+    }
+
+    // ========== SMART FOLDERS ==========
+
+    // Virtual sections whose contents are computed on every sync from a query:
+    // { id, name, characterId (null = every character), collapsed,
+    //   query: { nameContains, activeWithinDays, inactiveForDays, minMessages, maxMessages } }
+    // They never touch folder.chats, so a chat shows in its manual folder as well.
+
+    const SMART_PRESETS = [
+        { name: 'Last 7 days', query: { activeWithinDays: 7 } },
+        { name: 'Longer than 200 messages', query: { minMessages: 201 } },
+        { name: 'Not opened in 3 months', query: { inactiveForDays: 90 } },
+        { name: 'Name contains "AU"', query: { nameContains: 'AU' } }
+    ];
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    function getSmartFolders(characterId) {
+        return getSettings().smartFolders.filter(s => !s.characterId || s.characterId === characterId);
+    }
+
+    function describeSmartQuery(query) {
+        const q = query || {};
+        const parts = [];
+        if (q.nameContains) parts.push(`name contains "${q.nameContains}"`);
+        if (q.activeWithinDays != null) parts.push(`active in the last ${q.activeWithinDays} day(s)`);
+        if (q.inactiveForDays != null) parts.push(`not opened for ${q.inactiveForDays} day(s)`);
+        if (q.minMessages != null) parts.push(`≥ ${q.minMessages} messages`);
+        if (q.maxMessages != null) parts.push(`≤ ${q.maxMessages} messages`);
+        return parts.join(', ');
+    }
+
+    // "Opened" means the later of the last time the chat was opened here and its
+    // last message; chats not opened since that was first tracked go by the message
+    function smartFolderMatches(query, fileName) {
+        const q = query || {};
+        const meta = getChatMeta(fileName);
+        const now = Date.now();
+        const opened = (getSettings().lastOpened[getCurrentCharacterId()] || {})[extractChatTitle(fileName)];
+        const lastUsed = opened ? Math.max(opened, meta.lastActive ? meta.lastActive.getTime() : 0) : meta.lastActive;
+
+        if (q.nameContains && !extractChatTitle(fileName).toLowerCase().includes(q.nameContains.toLowerCase())) return false;
+        if (q.activeWithinDays != null && !(meta.lastActive && now - meta.lastActive <= q.activeWithinDays * DAY_MS)) return false;
+        if (q.inactiveForDays != null && !(lastUsed && now - lastUsed >= q.inactiveForDays * DAY_MS)) return false;
+        if (q.minMessages != null && !(meta.messages >= q.minMessages)) return false;
+        if (q.maxMessages != null && !(meta.messages <= q.maxMessages)) return false;
+        return true;
+    }
+
+    async function editSmartFolder(smart = null) {
+        const characterId = getCurrentCharacterId();
+        const q = smart ? smart.query : {};
+
+        const form = document.createElement('div');
+        form.className = 'tmc_dialog tmc_form';
+        form.innerHTML = `
+            <h3>${smart ? 'Edit smart folder' : 'New smart folder'}</h3>
+            ${smart ? '' : `<label>Start from <select class="text_pole" name="preset">
+                <option value="">Custom</option>
+                ${SMART_PRESETS.map((p, i) => `<option value="${i}">${escapeHtml(p.name)}</option>`).join('')}
+            </select></label>`}
+            <label>Name <input class="text_pole" name="name" value="${escapeHtml(smart ? smart.name : '')}"></label>
+            <label>Name contains <input class="text_pole" name="nameContains"></label>
+            <div class="tmc_form_row">
+                <label>Active in the last … days <input class="text_pole" type="number" min="0" name="activeWithinDays"></label>
+                <label>Not opened for … days <input class="text_pole" type="number" min="0" name="inactiveForDays"></label>
+            </div>
+            <div class="tmc_form_row">
+                <label>At least … messages <input class="text_pole" type="number" min="0" name="minMessages"></label>
+                <label>At most … messages <input class="text_pole" type="number" min="0" name="maxMessages"></label>
+            </div>
+            <label class="checkbox_label"><input type="checkbox" name="global" ${!smart || !smart.characterId ? 'checked' : ''}> Show for every character</label>
+        `;
+
+        const fields = ['nameContains', 'activeWithinDays', 'inactiveForDays', 'minMessages', 'maxMessages'];
+        const fill = (query, name) => {
+            fields.forEach(f => form.querySelector(`[name="${f}"]`).value = query[f] ?? '');
+            if (name !== undefined) form.querySelector('[name="name"]').value = name;
+        };
+        fill(q);
+        form.querySelector('[name="preset"]')?.addEventListener('change', (e) => {
+            const preset = SMART_PRESETS[e.target.value];
+            if (preset) fill(preset.query, preset.name);
+        });
+
+        if (!(await showFormDialog(form))) return;
+
+        const value = (name) => form.querySelector(`[name="${name}"]`).value.trim();
+        const query = {};
+        fields.forEach(f => {
+            const v = value(f);
+            if (v === '') return;
+            query[f] = f === 'nameContains' ? v : Math.max(0, parseInt(v, 10) || 0);
+        });
+
+        if (!value('name')) {
+            toastr.error('A smart folder needs a name');
+            return;
+        }
+        if (Object.keys(query).length === 0) {
+            toastr.error('Set at least one condition');
+            return;
+        }
+
+        const global = form.querySelector('[name="global"]').checked;
+        if (!global && !characterId) {
+            toastr.warning('Please select a character or group first');
+            return;
+        }
+
+        const settings = getSettings();
+        const data = { name: value('name'), query, characterId: global ? null : characterId };
+        if (smart) {
+            Object.assign(smart, data);
+        } else {
+            settings.smartFolders.push({ id: generateId('smart'), collapsed: false, ...data });
+        }
+        saveSettings();
+        scheduleSync();
+    }
+
+    function deleteSmartFolder(smartId) {
+        const settings = getSettings();
+        settings.smartFolders = settings.smartFolders.filter(s => s.id !== smartId);
+        saveSettings();
+        scheduleSync();
+    }
+
+    // ========== DIALOGS ==========
+
+    // SillyTavern popup with Save/Cancel around a form element; resolves true on Save.
+    // validate() returns an error message to show inline and keep the popup open.
+    async function showFormDialog(content, okButton = 'Save', validate = null) {
+        const { callGenericPopup, POPUP_TYPE } = SillyTavern.getContext();
+        const options = {
+            okButton,
+            cancelButton: 'Cancel',
+            wide: true,
+            allowVerticalScrolling: true
+        };
+
+        if (validate) {
+            const error = document.createElement('div');
+            error.className = 'tmc_field_error';
+            content.appendChild(error);
+            // Errors clear as soon as the input is fixed, but only show up after a first Save
+            content.addEventListener('input', () => {
+                if (error.textContent) error.textContent = validate() || '';
+            });
+            options.onClosing = (popup) => {
+                if (!popup.result) return true;
+                const message = validate();
+                error.textContent = message || '';
+                return !message;
+            };
+        }
+
+        const result = await callGenericPopup(content, POPUP_TYPE.CONFIRM, '', options);
+        return !!result;
+    }
+
+    // Single name field; resolves the trimmed name, or null when cancelled
+    async function showNameDialog(title, value = '', validate = null, okButton = 'Save') {
+        const form = document.createElement('div');
+        form.className = 'tmc_dialog tmc_form';
+        form.innerHTML = `
+            <h3>${escapeHtml(title)}</h3>
+            <label>Name <input class="text_pole" name="name" maxlength="${MAX_FOLDER_NAME_LENGTH}" value="${escapeHtml(value)}"></label>
+        `;
+        const input = form.querySelector('[name="name"]');
+        input.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            form.closest('.popup')?.querySelector('.popup-button-ok')?.click();
+        });
+        setTimeout(() => {
+            input.focus();
+            input.select();
+        });
+
+        const ok = await showFormDialog(form, okButton, validate && (() => validate(input.value)));
+        return ok ? input.value.trim() : null;
+    }
+
+    // Yes/no question with a themed popup; message is HTML
+    async function showConfirmDialog(message, okButton = 'OK') {
+        const content = document.createElement('div');
+        content.className = 'tmc_dialog';
+        content.innerHTML = message;
+        return showFormDialog(content, okButton);
+    }
+
+    async function showInfoDialog(content) {
+        const { callGenericPopup, POPUP_TYPE } = SillyTavern.getContext();
+        await callGenericPopup(content, POPUP_TYPE.TEXT, '', { wide: true, allowVerticalScrolling: true });
+    }
+
+    // ========== AUTO-FILING RULES ==========
+
+    // A rule files a chat when every condition it sets matches:
+    // { id, name, enabled, folderId | folderName, conditions: { fileName (regex),
+    //   dateFrom, dateTo (YYYY-MM-DD, chat start), firstMessage (substring),
+    //   minMessages, maxMessages } }
+    // Character rules point at a folder id; global rules at a folder name, which is
+    // created for a character that doesn't have it yet.
+
+    // characterId -> file names already run through the rules this session
+    const autoFileChecked = new Map();
+    let autoFileRunning = false;
+    // "characterId/chat title" -> first message; a chat's opening doesn't change
+    const firstMessageCache = new Map();
+
+    function getCharacterRules(characterId) {
+        const { rules } = getSettings();
+        return (characterId && rules.characters[characterId]) || [];
+    }
+
+    function hasActiveRules(characterId) {
+        const { rules } = getSettings();
+        return [...getCharacterRules(characterId), ...rules.global].some(r => r.enabled !== false);
+    }
+
+    // Chats moved to "Your chats" by hand are left alone by automatic runs
+    function setRuleExemption(characterId, fileNames, exempt) {
+        if (!characterId) return;
+        const { rules } = getSettings();
+        const current = new Set(rules.exempt[characterId] || []);
+        fileNames.forEach(f => exempt ? current.add(f) : current.delete(f));
+        if (current.size) rules.exempt[characterId] = [...current];
+        else delete rules.exempt[characterId];
+    }
+
+    function describeRule(rule) {
+        const c = rule.conditions || {};
+        const parts = [];
+        if (c.fileName) parts.push(`name ~ /${c.fileName}/`);
+        if (c.dateFrom || c.dateTo) parts.push(`started ${c.dateFrom || '…'} → ${c.dateTo || '…'}`);
+        if (c.firstMessage) parts.push(`first message contains "${c.firstMessage}"`);
+        if (c.minMessages != null) parts.push(`≥ ${c.minMessages} messages`);
+        if (c.maxMessages != null) parts.push(`≤ ${c.maxMessages} messages`);
+        return parts.join(', ') || 'every chat';
+    }
+
+    async function ruleMatches(rule, chat, character) {
+        const c = rule.conditions || {};
+
+        if (c.fileName) {
+            try {
+                if (!new RegExp(c.fileName, 'i').test(extractChatTitle(chat.fileName))) return false;
+            } catch {
+                return false;
+            }
+        }
+
+        if (c.dateFrom || c.dateTo) {
+            const date = chat.created || chat.lastActive;
+            if (!date) return false;
+            if (c.dateFrom && date < new Date(`${c.dateFrom}T00:00:00`)) return false;
+            if (c.dateTo && date > new Date(`${c.dateTo}T23:59:59.999`)) return false;
+        }
+
+        // Unknown message counts never match a count condition
+        if (c.minMessages != null && !(chat.messages >= c.minMessages)) return false;
+        if (c.maxMessages != null && !(chat.messages <= c.maxMessages)) return false;
+
+        // Last, since it reads the chat file
+        if (c.firstMessage) {
+            const first = await getFirstMessage(character, chat.fileName);
+            if (!first.toLowerCase().includes(c.firstMessage.toLowerCase())) return false;
+        }
+
+        return true;
+    }
+
+    async function getFirstMessage(character, fileName) {
+        const key = `${getOwnerKey(character)}/${extractChatTitle(fileName)}`;
+        if (firstMessageCache.has(key)) return firstMessageCache.get(key);
+        const first = await fetchFirstMessage(character, fileName);
+        // Empty can also mean the read failed, so that one is tried again next time
+        if (first) firstMessageCache.set(key, first);
+        return first;
+    }
+
+    // Folder a matching rule files into, or { create: name } for a global rule
+    // whose folder the character doesn't have yet. A global rule's name also
+    // matches a global folder, so it never creates a second folder of that name.
+    function resolveRuleTarget(characterId, rule) {
+        const settings = getSettings();
+        const folderIds = settings.characterFolders[characterId] || [];
+        if (rule.folderId) return folderIds.includes(rule.folderId) ? { folderId: rule.folderId } : null;
+        if (!rule.folderName) return null;
+
+        const wanted = rule.folderName.trim().toLowerCase();
+        const existing = listFolderPaths(characterId).find(({ id }) => getAnyFolder(id).name.toLowerCase() === wanted);
+        return existing ? { folderId: existing.id } : { create: rule.folderName.trim() };
+    }
+
+    // Works out where each of fileNames would go. Character rules come before
+    // global ones; the first match wins.
+    async function planAutoFiling(characterId, fileNames) {
+        const character = findCharacterByKey(characterId);
+        const { rules } = getSettings();
+        const active = [...getCharacterRules(characterId), ...rules.global].filter(r => r.enabled !== false);
+        if (!character || active.length === 0 || fileNames.length === 0) return [];
+
+        const serverChats = await fetchCharacterChats(character) || [];
+        const info = new Map(serverChats.map(c => [extractChatTitle(c.file_name), c]));
+
+        const plan = [];
+        for (const fileName of fileNames) {
+            const meta = info.get(extractChatTitle(fileName));
+            const chat = {
+                fileName,
+                created: parseChatCreated(fileName),
+                lastActive: meta ? parseLastActive(meta.last_mes) : null,
+                messages: meta && meta.chat_items != null ? Number(meta.chat_items) : undefined
+            };
+
+            for (const rule of active) {
+                const target = resolveRuleTarget(characterId, rule);
+                if (!target || !(await ruleMatches(rule, chat, character))) continue;
+                plan.push({
+                    fileName,
+                    rule,
+                    ...target,
+                    folderName: target.create || getAnyFolder(target.folderId).name
+                });
+                break;
+            }
+        }
+        return plan;
+    }
+
+    function applyAutoFiling(characterId, plan) {
+        if (plan.length === 0 || characterId !== getCurrentCharacterId()) return;
+
+        const groups = new Map();
+        const created = new Map();
+        for (const item of plan) {
+            let folderId = item.folderId;
+            if (!folderId) {
+                const key = item.create.toLowerCase();
+                if (!created.has(key)) {
+                    const invalid = validateFolderName(characterId, item.create);
+                    if (invalid) toastr.warning(`Rule folder "${item.create}" was not created: ${invalid}`);
+                    created.set(key, invalid ? null : createFolder(item.create));
+                }
+                folderId = created.get(key);
+            }
+            if (!folderId) continue;
+            if (!groups.has(folderId)) groups.set(folderId, []);
+            groups.get(folderId).push(item.fileName);
+        }
+
+        groups.forEach((files, folderId) => moveChat(files, folderId));
+    }
+
+    // Called from performSync: runs unassigned chats not seen yet this session
+    // through the rules in the background
+    function queueAutoFiling(characterId, fileNames) {
+        if (autoFileRunning || !hasActiveRules(characterId)) return;
+
+        const { rules } = getSettings();
+        const exempt = new Set(rules.exempt[characterId] || []);
+        if (!autoFileChecked.has(characterId)) autoFileChecked.set(characterId, new Set());
+        const checked = autoFileChecked.get(characterId);
+
+        const pending = fileNames.filter(f => !checked.has(f) && !exempt.has(f) && getFolderForChat(f) === 'uncategorized');
+        if (pending.length === 0) return;
+        pending.forEach(f => checked.add(f));
+
+        autoFileRunning = true;
+        planAutoFiling(characterId, pending)
+            .then(plan => applyAutoFiling(characterId, plan))
+            .catch(err => console.error('[TMC] Auto-filing failed:', err))
+            .finally(() => autoFileRunning = false);
+    }
+
+    // "Run rules now": every unassigned chat of the current character, with a preview first
+    async function runRulesNow() {
+        const characterId = getCurrentCharacterId();
+        const character = characterId ? findCharacterByKey(characterId) : null;
+        if (!character) {
+            toastr.warning('Please select a character or group first');
+            return;
+        }
+
+        const files = await fetchCharacterChatFiles(character);
+        if (!files) {
+            toastr.error('Could not load the chat list');
+            return;
+        }
+
+        const unassigned = files.filter(f => getFolderForChat(f) === 'uncategorized');
+        const plan = await planAutoFiling(characterId, unassigned);
+        if (plan.length === 0) {
+            toastr.info('No unassigned chats match any rule');
+            return;
+        }
+
+        const preview = document.createElement('div');
+        preview.className = 'tmc_dialog';
+        preview.innerHTML = `
+            <h3>${plan.length} chat(s) would be moved</h3>
+            <table class="tmc_preview">
+                <tr><th>Chat</th><th>Folder</th><th>Rule</th></tr>
+                ${plan.map(p => `<tr>
+                    <td>${escapeHtml(extractChatTitle(p.fileName))}</td>
+                    <td>${escapeHtml(p.folderName)}${p.create ? ' <small>(new)</small>' : ''}</td>
+                    <td>${escapeHtml(p.rule.name || describeRule(p.rule))}</td>
+                </tr>`).join('')}
+            </table>
+        `;
+        if (!(await showFormDialog(preview, `Move ${plan.length}`))) return;
+
+        recordHistory(`Auto-file ${plan.length} chat(s)`, () => {
+            setRuleExemption(characterId, plan.map(p => p.fileName), false);
+            applyAutoFiling(characterId, plan);
+        });
+        toastr.success(`Moved ${plan.length} chat(s)`);
+    }
+
+    // Add/edit form; resolves with the rule, or null when cancelled or invalid
+    async function editRule(rule, isGlobal) {
+        const settings = getSettings();
+        const characterId = getCurrentCharacterId();
+        const c = rule.conditions || {};
+
+        const folderOptions = getFolderTree(characterId).map(({ id, depth }) =>
+            `<option value="${id}" ${id === rule.folderId ? 'selected' : ''}>${'\u00a0\u00a0'.repeat(depth)}${escapeHtml(settings.folders[id].name)}</option>`
+        ).join('');
+
+        const form = document.createElement('div');
+        form.className = 'tmc_dialog tmc_form';
+        form.innerHTML = `
+            <h3>${isGlobal ? 'Global rule' : 'Rule for this character'}</h3>
+            <label>Name <input class="text_pole" name="name" value="${escapeHtml(rule.name || '')}" placeholder="Optional"></label>
+            ${isGlobal
+                ? `<label>Folder name <input class="text_pole" name="folderName" value="${escapeHtml(rule.folderName || '')}" placeholder="Created when missing"></label>`
+                : `<label>Folder <select class="text_pole" name="folderId">${folderOptions}</select></label>`}
+            <label>File name matches (regex) <input class="text_pole" name="fileName" value="${escapeHtml(c.fileName || '')}"></label>
+            <div class="tmc_form_row">
+                <label>Started from <input class="text_pole" type="date" name="dateFrom" value="${escapeHtml(c.dateFrom || '')}"></label>
+                <label>to <input class="text_pole" type="date" name="dateTo" value="${escapeHtml(c.dateTo || '')}"></label>
+            </div>
+            <label>First message contains <input class="text_pole" name="firstMessage" value="${escapeHtml(c.firstMessage || '')}"></label>
+            <div class="tmc_form_row">
+                <label>At least <input class="text_pole" type="number" min="0" name="minMessages" value="${c.minMessages ?? ''}"> messages</label>
+                <label>At most <input class="text_pole" type="number" min="0" name="maxMessages" value="${c.maxMessages ?? ''}"> messages</label>
             </div>
+            <label class="checkbox_label"><input type="checkbox" name="enabled" ${rule.enabled !== false ? 'checked' : ''}> Enabled</label>
         `;
 
-        header.querySelector('.tmc_header_left').onclick = () => {
-            const s = getSettings();
-            if (s.folders[fid]) {
-                s.folders[fid].collapsed = !s.folders[fid].collapsed;
-                saveSettings();
-                scheduleSync();
-            }
-        };
+        if (!isGlobal && !folderOptions) {
+            toastr.warning('Create a folder first');
+            return null;
+        }
+        if (!(await showFormDialog(form))) return null;
 
-        header.querySelector('.tmc_edit').onclick = (e) => {
-            e.stopPropagation();
-            const n = prompt('Rename:', folder.name);
-            if (n) renameFolder(fid, n);
-        };
+        const value = (name) => form.querySelector(`[name="${name}"]`).value.trim();
+        const number = (name) => value(name) === '' ? undefined : Math.max(0, parseInt(value(name), 10) || 0);
 
-        header.querySelector('.tmc_del').onclick = (e) => {
-            e.stopPropagation();
-            if (confirm(`Delete "${folder.name}"?`)) deleteFolder(fid);
+        const conditions = {
+            fileName: value('fileName') || undefined,
+            dateFrom: value('dateFrom') || undefined,
+            dateTo: value('dateTo') || undefined,
+            firstMessage: value('firstMessage') || undefined,
+            minMessages: number('minMessages'),
+            maxMessages: number('maxMessages')
         };
 
-        const content = document.createElement('div');
-        content.className = 'tmc_content';
-        content.style.display = folder.collapsed ? 'none' : '';
+        if (conditions.fileName) {
+            try {
+                new RegExp(conditions.fileName);
+            } catch (err) {
+                toastr.error(`Invalid regular expression: ${err.message}`);
+                return null;
+            }
+        }
+        if (isGlobal && !value('folderName')) {
+            toastr.error('A global rule needs a folder name');
+            return null;
+        }
+        if (isGlobal && value('folderName').length > MAX_FOLDER_NAME_LENGTH) {
+            toastr.error(`Keep the folder name under ${MAX_FOLDER_NAME_LENGTH + 1} characters`);
+            return null;
+        }
 
-        section.appendChild(header);
-        section.appendChild(content);
-        return section;
+        return {
+            id: rule.id || generateId('rule'),
+            name: value('name'),
+            enabled: form.querySelector('[name="enabled"]').checked,
+            ...(isGlobal ? { folderName: value('folderName') } : { folderId: value('folderId') }),
+            conditions
+        };
     }
 
-    function createUncategorizedDOM() {
-        const section = document.createElement('div');
-        section.className = 'tmc_section tmc_uncat';
-        section.dataset.id = 'uncategorized';
-
-        const header = document.createElement('div');
-        header.className = 'tmc_header';
-        header.innerHTML = `
-            <div class="tmc_header_left">
-                <span class="tmc_icon"><i class="fa-regular fa-comments"></i></span>
-                <span class="tmc_name">Your chats</span>
-                <span class="tmc_count">0</span>
-            </div>
-        `;
+    async function openRulesManager() {
+        const characterId = getCurrentCharacterId();
+        const settings = getSettings();
 
-        const content = document.createElement('div');
-        content.className = 'tmc_content';
+        const root = document.createElement('div');
+        root.className = 'tmc_dialog tmc_rules';
 
-        section.appendChild(header);
-        section.appendChild(content);
-        return section;
-    }
+        // Only adding a rule creates the character's list, and deleting the last one removes it
+        const listFor = (isGlobal) => isGlobal ? settings.rules.global : getCharacterRules(characterId);
+        const addRule = (isGlobal, rule) => {
+            if (isGlobal) settings.rules.global.push(rule);
+            else settings.rules.characters[characterId] = [...getCharacterRules(characterId), rule];
+        };
+        const removeRule = (isGlobal, index) => {
+            const list = listFor(isGlobal);
+            list.splice(index, 1);
+            if (!isGlobal && list.length === 0) delete settings.rules.characters[characterId];
+        };
 
-    // Proxy block with FULL native content (buttons, preview, etc.)
-    function createProxyBlock(chatData) {
-        const el = document.createElement('div');
-        el.className = 'select_chat_block tmc_proxy_block';
+        const render = () => {
+            const section = (isGlobal) => {
+                if (!isGlobal && !characterId) return '<p class="tmc_muted">Select a character to add character rules.</p>';
+                const rules = listFor(isGlobal);
+                const rows = rules.map((rule, i) => {
+                    const target = rule.folderId ? settings.folders[rule.folderId]?.name || '(deleted folder)' : rule.folderName;
+                    return `<div class="tmc_rule_row${rule.enabled === false ? ' tmc_rule_off' : ''}" data-global="${isGlobal}" data-index="${i}">
+                        <div class="tmc_rule_text">
+                            <b>${escapeHtml(rule.name || describeRule(rule))}</b>
+                            <small>${escapeHtml(describeRule(rule))} → 📁 ${escapeHtml(target)}</small>
+                        </div>
+                        <span class="tmc_btn" data-act="edit" title="Edit"><i class="fa-solid fa-pencil"></i></span>
+                        <span class="tmc_btn tmc_del" data-act="delete" title="Delete"><i class="fa-solid fa-trash"></i></span>
+                    </div>`;
+                }).join('');
+                return rows || '<p class="tmc_muted">No rules yet.</p>';
+            };
 
-        // Use full native HTML content (includes preview, buttons, etc.)
-        el.innerHTML = chatData.html;
-        el.title = chatData.fileName;
-        el.setAttribute('file_name', chatData.fileName);
+            root.innerHTML = `
+                <h3>Auto-filing rules</h3>
+                <p class="tmc_muted">New chats that aren't in a folder are checked against these rules. Character rules are tried before global ones.</p>
+                <h4>This character</h4>
+                ${section(false)}
+                <div class="menu_button" data-act="add" data-global="false">Add rule</div>
+                <h4>Global</h4>
+                ${section(true)}
+                <div class="menu_button" data-act="add" data-global="true">Add global rule</div>
+                <hr>
+                <div class="menu_button" data-act="run"><i class="fa-solid fa-play"></i> Preview & run now</div>
+            `;
+        };
 
-        // FIX: Move pencil icon to the right side with other action buttons
-        const pencilBtn = el.querySelector('.renameChatButton');
-        const actionContainer = el.querySelector('.flex-container.gap10px') ||
-            el.querySelector('[class*="action"]') ||
-            el.querySelector('.select_chat_info')?.parentElement;
-        if (pencilBtn && actionContainer) {
-            // Move pencil to the action container (right side)
-            actionContainer.insertBefore(pencilBtn, actionContainer.firstChild);
-        }
+        root.addEventListener('click', async (e) => {
+            const btn = e.target.closest('[data-act]');
+            if (!btn) return;
+            const row = btn.closest('.tmc_rule_row');
+            const isGlobal = (row || btn).dataset.global === 'true';
 
-        // Intercept main click (not on buttons)
-        el.addEventListener('click', (e) => {
-            // Don't intercept if clicking on action buttons
-            if (e.target.closest('.renameChatButton, .select_chat_block_action, .mes_edit, .mes_delete, .mes_export, button, a, [class*="export"], [class*="delete"], [class*="download"]')) {
-                // Find corresponding button in hidden original and click it
-                const clickedClass = e.target.closest('[class]')?.className;
-                if (clickedClass) {
-                    const originalBtn = chatData.element.querySelector('.' + clickedClass.split(' ')[0]);
-                    if (originalBtn) {
-                        originalBtn.click();
-                        return;
-                    }
+            switch (btn.dataset.act) {
+                case 'add': {
+                    if (!isGlobal && !characterId) return;
+                    const rule = await editRule({ enabled: true, conditions: {} }, isGlobal);
+                    if (!rule) return;
+                    addRule(isGlobal, rule);
+                    break;
+                }
+                case 'edit': {
+                    const list = listFor(isGlobal);
+                    const rule = await editRule(list[row.dataset.index], isGlobal);
+                    if (!rule) return;
+                    list[row.dataset.index] = rule;
+                    break;
                 }
+                case 'delete':
+                    removeRule(isGlobal, Number(row.dataset.index));
+                    break;
+                case 'run':
+                    await runRulesNow();
+                    return;
             }
-            // Otherwise load the chat
-            chatData.element.click();
-        });
 
-        el.oncontextmenu = (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            showContextMenu(e, chatData.fileName);
-        };
+            // Rules changed: every unassigned chat deserves a fresh look
+            autoFileChecked.clear();
+            saveSettings();
+            render();
+        });
 
-        return el;
+        render();
+        await showInfoDialog(root);
     }
 
-    function injectAddButton(popup) {
-        if (popup.querySelector('.tmc_add_btn')) return;
+    // ========== KEYBOARD ==========
 
-        // FIX: Use correct selector - native SillyTavern uses [name="selectChatPopupHeader"]
-        const headerRow = popup.querySelector('[name="selectChatPopupHeader"]') ||
-            popup.querySelector('.flex-container.alignitemscenter') ||
-            popup.querySelector('h3');
-        if (!headerRow) {
-            console.warn('[TMC] Could not find header row for New Folder button');
-            return;
-        }
+    // Header buttons are spans, so Enter/Space activation is wired up here.
+    // Alt+ArrowUp/ArrowDown on a focused folder header moves it among its siblings.
+    function initTreeKeyboard(root) {
+        root.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && selectedChats.size > 0) {
+                e.stopPropagation();
+                clearSelection();
+                return;
+            }
 
-        const btn = document.createElement('div');
-        btn.className = 'tmc_add_btn';  // Remove menu_button to avoid conflicts
-        btn.innerHTML = '<i class="fa-solid fa-folder-plus"></i> New Folder';
-        btn.title = 'Create New Folder';
-        // Apply full inline styles to ensure they work regardless of specificity
-        btn.style.cssText = `
-            display: flex !important;
-            align-items: center !important;
-            gap: 5px !important;
-            padding: 5px 10px !important;
-            margin: 0 5px !important;
-            background: var(--SmartThemeBlurTintColor, rgba(0,0,0,0.3)) !important;
-            border: 1px solid var(--SmartThemeBorderColor, #555) !important;
-            border-radius: 5px !important;
-            color: var(--SmartThemeBodyColor, #fff) !important;
-            font-size: 13px !important;
-            cursor: pointer !important;
-            white-space: nowrap !important;
-        `;
-        btn.onmouseenter = () => {
-            btn.style.background = 'var(--SmartThemeQuoteColor, rgba(100,100,100,0.5))';
-        };
-        btn.onmouseleave = () => {
-            btn.style.background = 'var(--SmartThemeBlurTintColor, rgba(0,0,0,0.3))';
-        };
-        btn.onclick = (e) => {
-            e.stopPropagation();
-            const n = prompt('New Folder Name:');
-            if (n) createFolder(n);
-        };
-        // Insert right after "New Chat" button
-        const newChatBtn = headerRow.querySelector('#newChatFromManageScreenButton');
-        if (newChatBtn && newChatBtn.nextSibling) {
-            headerRow.insertBefore(btn, newChatBtn.nextSibling);
-        } else {
-            // Fallback: insert at beginning
-            headerRow.insertBefore(btn, headerRow.firstChild);
-        }
+            const btn = e.target.closest('.tmc_btn');
+            if (btn && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                btn.click();
+                return;
+            }
+
+            if (!e.target.classList.contains('tmc_header')) return;
+            const fid = e.target.parentElement.dataset.id;
+
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                pendingFocus = { folderId: fid, selector: null };
+                e.target.querySelector('.tmc_header_left').click();
+            } else if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+                e.preventDefault();
+                pendingFocus = { folderId: fid, selector: null };
+                shiftFolder(fid, e.key === 'ArrowUp' ? -1 : 1);
+            }
+        });
+    }
+
+    // A rebuild replaces every element, so keyboard focus is put back after it
+    function restorePendingFocus(root) {
+        if (!pendingFocus) return;
+        const { folderId, selector } = pendingFocus;
+        pendingFocus = null;
+
+        const header = root.querySelector(`.tmc_section[data-id="${CSS.escape(folderId)}"] > .tmc_header`);
+        if (!header) return;
+        const target = selector ? header.querySelector(selector) : header;
+        (target || header).focus();
     }
 
     // ========== CONTEXT MENU ==========
@@ -476,26 +5044,94 @@
 
         const settings = getSettings();
         const characterId = getCurrentCharacterId();
-        const folderIds = settings.characterFolders[characterId] || [];
+        const targets = getActionTargets(fileName);
+        const bulk = targets.length > 1;
+        const currentFid = bulk ? null : getFolderForChat(fileName);
 
-        let html = '<div class="tmc_ctx_head">Move to</div>';
-        folderIds.forEach(fid => {
+        let html = `<div class="tmc_ctx_head">${bulk ? `Move ${targets.length} chats to` : 'Move to'}</div>`;
+        getFolderTree(characterId).forEach(({ id: fid, depth }) => {
             const f = settings.folders[fid];
-            html += `<div class="tmc_ctx_item" data-fid="${fid}">📁 ${escapeHtml(f.name)}</div>`;
+            const current = fid === currentFid ? ' tmc_ctx_current' : '';
+            const color = normalizeFolderColor(f.color);
+            html += `<div class="tmc_ctx_item${current}" data-fid="${fid}" style="padding-left:${12 + depth * 14}px"><i class="${getFolderIconClass(f)}"${color ? ` style="color:${color}"` : ''}></i> ${escapeHtml(f.name)}</div>`;
+        });
+        const globalIds = getGlobalFolderIds();
+        if (globalIds.length) html += '<div class="tmc_ctx_head">Global</div>';
+        globalIds.forEach(fid => {
+            const f = settings.globalFolders[fid];
+            const current = fid === currentFid ? ' tmc_ctx_current' : '';
+            const color = normalizeFolderColor(f.color);
+            html += `<div class="tmc_ctx_item${current}" data-fid="${fid}"><i class="${getFolderIconClass(f, GLOBAL_FOLDER_ICON)}"${color ? ` style="color:${color}"` : ''}></i> ${escapeHtml(f.name)}</div>`;
         });
         html += '<div class="tmc_ctx_sep"></div>';
-        html += '<div class="tmc_ctx_item" data-fid="uncategorized">💬 Your chats</div>';
+        html += `<div class="tmc_ctx_item" data-fid="uncategorized">💬 ${escapeHtml(getOption('uncategorizedLabel'))}</div>`;
         // New Folder button is now in the header, removed from here
 
+        const pinned = targets.every(f => isPinned(characterId, f));
+        const pinCount = bulk ? ` ${targets.length} chats` : '';
+        html += '<div class="tmc_ctx_sep"></div>';
+        html += `<div class="tmc_ctx_item" data-action="${pinned ? 'unpin' : 'pin'}"><i class="fa-solid fa-thumbtack"></i> ${pinned ? 'Unpin' : 'Pin'}${pinCount}</div>`;
+        if (pinned && !bulk) {
+            html += '<div class="tmc_ctx_item" data-action="pin-up"><i class="fa-solid fa-arrow-up"></i> Move pin up</div>';
+            html += '<div class="tmc_ctx_item" data-action="pin-down"><i class="fa-solid fa-arrow-down"></i> Move pin down</div>';
+        }
+        html += `<div class="tmc_ctx_item" data-action="tags"><i class="fa-solid fa-tags"></i> Tags${pinCount}…</div>`;
+        const archived = targets.every(f => isArchived(characterId, f));
+        html += `<div class="tmc_ctx_item" data-action="${archived ? 'unarchive' : 'archive'}"><i class="fa-solid fa-box-archive"></i> ${archived ? 'Unarchive' : 'Archive'}${pinCount}</div>`;
+
+        if (bulk) {
+            html += '<div class="tmc_ctx_sep"></div>';
+            html += `<div class="tmc_ctx_item" data-action="export"><i class="fa-solid fa-file-export"></i> Export ${targets.length} chats</div>`;
+            html += `<div class="tmc_ctx_item tmc_ctx_danger" data-action="delete"><i class="fa-solid fa-trash"></i> Delete ${targets.length} chats</div>`;
+            html += '<div class="tmc_ctx_item" data-action="clear"><i class="fa-solid fa-xmark"></i> Clear selection</div>';
+        }
+
         menu.innerHTML = html;
         document.body.appendChild(menu);
 
         menu.onclick = (ev) => {
             const item = ev.target.closest('.tmc_ctx_item');
             if (!item) return;
-            // Only "Move to folder" actions remain
-            moveChat(fileName, item.dataset.fid);
             menu.remove();
+
+            switch (item.dataset.action) {
+                case 'export':
+                    exportChats(targets);
+                    return;
+                case 'delete':
+                    showConfirmDialog(`Delete ${targets.length} chats? This cannot be undone.`, 'Delete')
+                        .then(ok => ok && deleteChats(targets));
+                    return;
+                case 'clear':
+                    clearSelection();
+                    return;
+                case 'pin':
+                case 'unpin':
+                    pinChats(characterId, targets, item.dataset.action === 'pin');
+                    if (bulk) clearSelection();
+                    return;
+                case 'pin-up':
+                case 'pin-down':
+                    shiftPin(characterId, fileName, item.dataset.action === 'pin-up' ? -1 : 1);
+                    return;
+                case 'tags':
+                    editChatTags(targets);
+                    return;
+                case 'archive':
+                    recordHistory(`Archive ${targets.length} chat(s)`, () => archiveChats(characterId, targets));
+                    if (bulk) clearSelection();
+                    return;
+                case 'unarchive':
+                    recordHistory(`Unarchive ${targets.length} chat(s)`, () => unarchiveChats(characterId, targets));
+                    if (bulk) clearSelection();
+                    return;
+            }
+
+            recordHistory(`Move ${targets.length} chat(s) to "${getFolderLabel(item.dataset.fid)}"`, () => {
+                moveChat(targets, item.dataset.fid);
+                if (item.dataset.fid === 'uncategorized') setRuleExemption(characterId, targets, true);
+            });
+            if (bulk) clearSelection();
         };
 
         setTimeout(() => {
@@ -503,58 +5139,489 @@
         }, 50);
     }
 
-    // ========== OBSERVER ==========
+    // ========== SLASH COMMANDS ==========
+
+    const UNCATEGORIZED_NAMES = ['your chats', 'uncategorized', 'none'];
+
+    // Folder names as scripts see them: "Parent/Child" for subfolders, global
+    // folders by their plain name
+    function getFolderPath(folderId) {
+        const settings = getSettings();
+        if (isGlobalFolder(folderId)) return settings.globalFolders[folderId].name;
+
+        const names = [];
+        const seen = new Set();
+        let cursor = folderId;
+        while (cursor && settings.folders[cursor] && !seen.has(cursor)) {
+            seen.add(cursor);
+            names.unshift(settings.folders[cursor].name);
+            cursor = getParentId(settings.folders[cursor]);
+        }
+        return names.join('/');
+    }
+
+    function listFolderPaths(characterId, scope = 'all') {
+        const own = characterId && scope !== 'global' ? getFolderTree(characterId).map(({ id }) => id) : [];
+        const global = scope !== 'character' ? getGlobalFolderIds() : [];
+        return [...own, ...global].map(id => ({ id, path: getFolderPath(id) }));
+    }
+
+    // Full path first, then a plain name anywhere in the tree; case-insensitive
+    function findFolderByName(characterId, name) {
+        const wanted = String(name || '').trim().toLowerCase();
+        if (!wanted) return null;
+        const folders = listFolderPaths(characterId);
+        const match = folders.find(f => f.path.toLowerCase() === wanted) ||
+            folders.find(f => getAnyFolder(f.id).name.toLowerCase() === wanted);
+        return match ? match.id : null;
+    }
 
-    function initObserver() {
-        if (observer) observer.disconnect();
+    // File name as the tree stores it, for a chat given with or without
+    // extension; the open chat when none is given
+    async function resolveChatName(chat) {
+        const context = SillyTavern.getContext();
+        const given = String(chat || (context.getCurrentChatId ? context.getCurrentChatId() : '') || '').trim();
+        if (!given) return null;
 
-        observer = new MutationObserver((mutations) => {
-            let needsSync = false;
-            for (const m of mutations) {
-                // IGNORE our own proxy elements
-                if (m.target.closest && m.target.closest('#tmc_proxy_root')) continue;
-                if (m.target.classList && m.target.classList.contains('tmc_proxy_block')) continue;
+        const wanted = extractChatTitle(given);
+        const known = knownChats.characterId === getCurrentCharacterId() ? [...knownChats.fingerprints.keys()] : [];
+        const match = known.find(f => extractChatTitle(f) === wanted);
+        if (match) return match;
 
-                if (m.target.classList?.contains('select_chat_block_wrapper')) {
-                    needsSync = true;
-                    break;
+        const files = await fetchCharacterChatFiles();
+        return (files && files.find(f => extractChatTitle(f) === wanted)) || null;
+    }
+
+    // Commands return plain strings for the pipe; failures warn and return ''
+    function registerSlashCommands() {
+        const {
+            SlashCommandParser, SlashCommand, SlashCommandArgument, SlashCommandNamedArgument,
+            SlashCommandEnumValue, ARGUMENT_TYPE
+        } = SillyTavern.getContext();
+        if (!SlashCommandParser || !SlashCommand || !SlashCommandArgument) {
+            console.warn('[TMC] Slash command API not available, folder commands are not registered');
+            return;
+        }
+
+        const fail = (message) => {
+            toastr.warning(message);
+            return '';
+        };
+        const needCharacter = () => {
+            const characterId = getCurrentCharacterId();
+            if (!characterId) fail('Please select a character or group first');
+            return characterId;
+        };
+
+        const folderEnum = SlashCommandEnumValue
+            ? () => listFolderPaths(getCurrentCharacterId()).map(f => isGlobalFolder(f.id)
+                ? new SlashCommandEnumValue(f.path, 'global folder', 'name', '🌐')
+                : new SlashCommandEnumValue(f.path, null, 'name', '📁'))
+            : undefined;
+        const folderNamed = (name, description, isRequired = false) => SlashCommandNamedArgument.fromProps({
+            name, description, isRequired, typeList: [ARGUMENT_TYPE.STRING], enumProvider: folderEnum
+        });
+        const folderUnnamed = (description) => SlashCommandArgument.fromProps({
+            description, isRequired: true, typeList: [ARGUMENT_TYPE.STRING], enumProvider: folderEnum
+        });
+        const chatNamed = () => SlashCommandNamedArgument.fromProps({
+            name: 'chat', description: 'chat file name; the open chat if omitted', typeList: [ARGUMENT_TYPE.STRING]
+        });
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'folder-create',
+            callback: (args, name) => {
+                const characterId = getCurrentCharacterId();
+                const global = String(args.global) === 'true';
+                if (!global && !needCharacter()) return '';
+                const invalid = validateFolderName(characterId, name);
+                if (invalid) return fail(invalid);
+
+                let parentId = null;
+                if (args.parent) {
+                    parentId = findFolderByName(characterId, args.parent);
+                    if (!parentId || isGlobalFolder(parentId)) return fail(`No folder named "${args.parent}"`);
                 }
-                if (m.target.id === 'shadow_select_chat_popup' || m.target.id === 'select_chat_popup') {
-                    needsSync = true;
-                    break;
+                const folderId = recordHistory(`Create folder "${String(name).trim()}"`,
+                    () => global ? createGlobalFolder(name) : createFolder(name, parentId));
+                return folderId ? getFolderPath(folderId) : '';
+            },
+            namedArgumentList: [
+                folderNamed('parent', 'create it as a subfolder of this folder'),
+                SlashCommandNamedArgument.fromProps({
+                    name: 'global',
+                    description: 'create a global folder, shown for every character',
+                    typeList: [ARGUMENT_TYPE.BOOLEAN],
+                    defaultValue: 'false',
+                    enumList: ['true', 'false']
+                })
+            ],
+            unnamedArgumentList: [
+                SlashCommandArgument.fromProps({ description: 'folder name', isRequired: true, typeList: [ARGUMENT_TYPE.STRING] })
+            ],
+            returns: 'the new folder\'s name (Parent/Child for subfolders)',
+            helpString: 'Creates a folder for the current character. Example: <code>/folder-create parent=Work Meetings</code>'
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'folder-rename',
+            callback: (args, name) => {
+                const characterId = needCharacter();
+                if (!characterId) return '';
+                const folderId = findFolderByName(characterId, args.folder);
+                if (!folderId) return fail(`No folder named "${args.folder}"`);
+                const invalid = validateFolderName(characterId, name, folderId);
+                if (invalid) return fail(invalid);
+                const oldName = getAnyFolder(folderId).name;
+                recordHistory(`Rename folder "${oldName}" to "${String(name).trim()}"`, () => renameFolder(folderId, name));
+                return getFolderPath(folderId);
+            },
+            namedArgumentList: [folderNamed('folder', 'folder to rename', true)],
+            unnamedArgumentList: [
+                SlashCommandArgument.fromProps({ description: 'new name', isRequired: true, typeList: [ARGUMENT_TYPE.STRING] })
+            ],
+            returns: 'the folder\'s new name',
+            helpString: 'Renames a folder. Example: <code>/folder-rename folder=Work Job</code>'
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'folder-delete',
+            callback: (args, name) => {
+                const characterId = needCharacter();
+                if (!characterId) return '';
+                const folderId = findFolderByName(characterId, name);
+                if (!folderId) return fail(`No folder named "${name}"`);
+                const path = getFolderPath(folderId);
+                recordHistory(`Delete folder "${getAnyFolder(folderId).name}"`, () => {
+                    if (isGlobalFolder(folderId)) deleteGlobalFolder(folderId);
+                    else deleteFolder(folderId);
+                });
+                return path;
+            },
+            unnamedArgumentList: [folderUnnamed('folder to delete; its chats go back to "Your chats"')],
+            returns: 'the deleted folder\'s name',
+            helpString: 'Deletes a folder and its subfolders. The chats in them are not deleted.'
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'folder-move',
+            callback: async (args) => {
+                const characterId = needCharacter();
+                if (!characterId) return '';
+                const fileName = await resolveChatName(args.chat);
+                if (!fileName) return fail(`No chat named "${args.chat || ''}"`);
+
+                const target = String(args.folder || '').trim();
+                if (!target || [...UNCATEGORIZED_NAMES, getOption('uncategorizedLabel').toLowerCase()].includes(target.toLowerCase())) {
+                    recordHistory(`Move "${extractChatTitle(fileName)}" to "${getFolderLabel('uncategorized')}"`, () => {
+                        moveChat(fileName, 'uncategorized');
+                        setRuleExemption(characterId, [fileName], true);
+                    });
+                    return '';
                 }
+                const folderId = findFolderByName(characterId, target);
+                if (!folderId) return fail(`No folder named "${target}"`);
+                recordHistory(`Move "${extractChatTitle(fileName)}" to "${getFolderLabel(folderId)}"`, () => moveChat(fileName, folderId));
+                return getFolderPath(folderId);
+            },
+            namedArgumentList: [
+                chatNamed(),
+                folderNamed('folder', 'target folder; "Your chats" or empty to take the chat out of its folder')
+            ],
+            returns: 'the folder the chat is now in, empty for "Your chats"',
+            helpString: 'Moves a chat into a folder. Example: <code>/folder-move folder=Work</code> files the open chat.'
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'folder-list',
+            callback: (args) => {
+                const scope = ['character', 'global'].includes(args.scope) ? args.scope : 'all';
+                return JSON.stringify(listFolderPaths(getCurrentCharacterId(), scope).map(f => f.path));
+            },
+            namedArgumentList: [
+                SlashCommandNamedArgument.fromProps({
+                    name: 'scope',
+                    description: 'which folders to list',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                    defaultValue: 'all',
+                    enumList: ['all', 'character', 'global']
+                })
+            ],
+            returns: 'JSON array of folder names',
+            helpString: 'Lists the folders of the current character, then the global folders.'
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'folder-of',
+            callback: async (args) => {
+                if (!needCharacter()) return '';
+                const fileName = await resolveChatName(args.chat);
+                if (!fileName) return args.chat ? fail(`No chat named "${args.chat}"`) : '';
+                const folderId = getFolderForChat(fileName);
+                if (folderId === 'archive') return 'Archive';
+                return folderId === 'uncategorized' ? '' : getFolderPath(folderId);
+            },
+            namedArgumentList: [chatNamed()],
+            returns: 'folder name, empty when the chat is not in a folder',
+            helpString: 'Returns the folder of the open chat (or of <code>chat=</code>). Example: <code>/folder-of | /echo</code>'
+        }));
+    }
+
+    // ========== LIFECYCLE ==========
+
+    // While enabled, only the chat popups' own style/class are watched, to notice
+    // them opening and closing. The list observer and the document-level handlers
+    // exist only while a popup is open, and turning the extension off removes
+    // everything, SillyTavern event handlers included.
+    const POPUP_SELECTORS = ['#shadow_select_chat_popup', '#select_chat_popup'];
+
+    // SillyTavern events that change the chat list; names a version lacks are skipped
+    const LIST_EVENTS = ['CHAT_CREATED', 'GROUP_CHAT_CREATED', 'CHAT_RENAMED', 'GROUP_CHAT_RENAMED', 'CHAT_LIST_LOADED', 'CHARACTER_RENAMED'];
+
+    function onChatDeleted(name) {
+        if (!name) return;
+        const title = extractChatTitle(name);
+        recentlyDeleted.add(title);
+        if (!deletingChats.has(title)) forgetDeletedChat(name);
+    }
+
+    function onListEvent() {
+        if (openPopup) scheduleSync();
+    }
+
+    function bindEvents() {
+        const { eventSource, event_types } = SillyTavern.getContext();
+        const bind = (type, handler) => {
+            if (!type) return;
+            eventSource.on(type, handler);
+            boundEvents.push([type, handler]);
+        };
+
+        bind(event_types.CHAT_CHANGED, () => {
+            // The popups are part of SillyTavern's page; if they weren't there at load, look again
+            if (!watchedPopups.length) watchPopups();
+            onChatChanged();
+        });
+        bind(event_types.CHAT_DELETED, onChatDeleted);
+        bind(event_types.GROUP_CHAT_DELETED, onChatDeleted);
+        LIST_EVENTS.forEach(name => bind(event_types[name], onListEvent));
+    }
+
+    function unbindEvents() {
+        const { eventSource } = SillyTavern.getContext();
+        boundEvents.splice(0).forEach(([type, handler]) => eventSource.removeListener(type, handler));
+    }
+
+    function watchPopups() {
+        popupWatcher.disconnect();
+        watchedPopups = POPUP_SELECTORS.map(selector => document.querySelector(selector)).filter(Boolean);
+        watchedPopups.forEach(popup => popupWatcher.observe(popup, { attributes: true, attributeFilter: ['style', 'class'] }));
+        onPopupVisibility();
+    }
+
+    function onPopupVisibility() {
+        const popup = getOpenChatPopup();
+        if (popup === openPopup) return;
+        if (openPopup) detachPopup();
+        if (popup) attachPopup(popup);
+    }
+
+    // A native chat block came or went: SillyTavern refilled the list. Our own
+    // tree only ever holds proxy blocks, so its redraws don't count.
+    function isNativeListMutation(m) {
+        if (m.target.nodeType !== Node.ELEMENT_NODE) return false;
+        if (m.target.closest('#tmc_proxy_root')) return false;
+        if (m.target.closest('.select_chat_block_wrapper')) return true;
+        return [...m.addedNodes, ...m.removedNodes].some(node => node.nodeType === Node.ELEMENT_NODE &&
+            (node.matches('.select_chat_block_wrapper, .select_chat_block:not(.tmc_proxy_block)') ||
+                node.querySelector('.select_chat_block:not(.tmc_proxy_block)')));
+    }
+
+    function attachPopup(popup) {
+        openPopup = popup;
+        listObserver = new MutationObserver((mutations) => {
+            if (mutations.some(isNativeListMutation)) scheduleSync();
+        });
+        listObserver.observe(popup, { childList: true, subtree: true });
+
+        // Scroll events don't bubble; capturing catches whichever element scrolls
+        popup.addEventListener('scroll', scheduleVirtualRender, true);
+        window.addEventListener('resize', scheduleVirtualRender);
+        document.addEventListener('keydown', onHistoryShortcut);
+        scheduleSync();
+    }
+
+    function detachPopup() {
+        listObserver.disconnect();
+        listObserver = null;
+        openPopup.removeEventListener('scroll', scheduleVirtualRender, true);
+        window.removeEventListener('resize', scheduleVirtualRender);
+        document.removeEventListener('keydown', onHistoryShortcut);
+        openPopup = null;
+
+        clearTimeout(syncDebounceTimer);
+        cancelAnimationFrame(virtualFrame);
+        virtualFrame = null;
+    }
+
+    function startLifecycle() {
+        if (popupWatcher) return;
+        popupWatcher = new MutationObserver(onPopupVisibility);
+        bindEvents();
+        watchPopups();
+        if (watchedPopups.length) injectHeaderButtons(watchedPopups[0], getCurrentCharacterId());
+    }
+
+    function stopLifecycle() {
+        if (!popupWatcher) return;
+        unbindEvents();
+        popupWatcher.disconnect();
+        popupWatcher = null;
+        watchedPopups = [];
+        if (openPopup) detachPopup();
+        clearTimeout(syncDebounceTimer);
+
+        // SillyTavern's own list and header are left as they were before us
+        document.querySelectorAll('#tmc_proxy_root, .tmc_add_btn, .tmc_ctx').forEach(el => el.remove());
+    }
+
+    // ========== SETTINGS PANEL ==========
+
+    const DATE_FORMATS = {
+        native: 'As SillyTavern shows it',
+        relative: 'Today / Yesterday / weekday',
+        short: 'Short date',
+        long: 'Date and time',
+        iso: 'YYYY-MM-DD HH:mm'
+    };
+
+    // Number inputs are clamped to these
+    const OPTION_LIMITS = {
+        syncDelay: [0, 2000],
+        autoArchiveDays: [0, 3650]
+    };
+
+    function applyOptions() {
+        const enabled = !!getOption('enabled');
+        document.body.classList.toggle('tmc_disabled', !enabled);
+        if (!enabled) {
+            stopLifecycle();
+            return;
+        }
+        startLifecycle();
+        scheduleSync();
+    }
+
+    // Folder data goes back to a fresh install; the options themselves are kept
+    function resetAllData() {
+        if (readOnlySettings) {
+            toastr.error('Folder data is read-only this session');
+            return;
+        }
+        const { extensionSettings } = SillyTavern.getContext();
+        const options = structuredClone(getSettings().options);
+        extensionSettings[MODULE_NAME] = { ...structuredClone(defaultSettings), options };
+
+        clearSelection();
+        tagFilter.clear();
+        autoFileChecked.clear();
+        // Old entries would bring the deleted folders back
+        undoStack.length = 0;
+        redoStack.length = 0;
+        knownChats = { characterId: null, fingerprints: new Map() };
+        saveSettings();
+        scheduleSync();
+        toastr.success('All folder data was reset');
+    }
+
+    function renderSettingsPanel() {
+        const container = document.getElementById('extensions_settings2') || document.getElementById('extensions_settings');
+        if (!container || document.getElementById('tmc_settings')) return;
+
+        const panel = document.createElement('div');
+        panel.id = 'tmc_settings';
+        panel.innerHTML = `
+            <div class="inline-drawer">
+                <div class="inline-drawer-toggle inline-drawer-header">
+                    <b>${EXTENSION_NAME}</b>
+                    <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
+                </div>
+                <div class="inline-drawer-content tmc_form">
+                    <label class="checkbox_label"><input type="checkbox" data-option="enabled"> Show chats in folders</label>
+                    <label class="checkbox_label"><input type="checkbox" data-option="defaultCollapsed"> New folders start collapsed</label>
+                    <label class="checkbox_label"><input type="checkbox" data-option="hideEmptyFolders"> Hide empty folders</label>
+                    <label class="checkbox_label"><input type="checkbox" data-option="showCounts"> Show chat counts</label>
+                    <label class="checkbox_label"><input type="checkbox" data-setting="autoRepair"> Repair folder data on load</label>
+                    <label>Name of the unfiled section <input class="text_pole" data-option="uncategorizedLabel" maxlength="40"></label>
+                    <label>Chat dates
+                        <select class="text_pole" data-option="dateFormat">
+                            ${Object.entries(DATE_FORMATS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label>Archive chats not opened for … days (0 = never) <input class="text_pole" type="number" data-option="autoArchiveDays" min="0" max="3650" step="1"></label>
+                    <label>Refresh delay (ms) <input class="text_pole" type="number" data-option="syncDelay" min="0" max="2000" step="50"></label>
+                    <div class="menu_button tmc_reset_btn" title="Deletes every folder, pin, tag, rule and smart folder">
+                        <i class="fa-solid fa-trash-can"></i> Reset all folder data
+                    </div>
+                </div>
+            </div>
+        `;
+
+        panel.querySelectorAll('[data-option]').forEach(input => {
+            const value = getOption(input.dataset.option);
+            if (input.type === 'checkbox') input.checked = !!value;
+            else input.value = value;
+        });
+        panel.querySelector('[data-setting="autoRepair"]').checked = !!getSettings().autoRepair;
+
+        panel.addEventListener('change', (e) => {
+            const input = e.target;
+            if (input.dataset.setting === 'autoRepair') {
+                getSettings().autoRepair = input.checked;
+                saveSettings();
+                return;
+            }
+
+            const key = input.dataset.option;
+            if (!key) return;
+            let value;
+            if (input.type === 'checkbox') {
+                value = input.checked;
+            } else if (input.type === 'number') {
+                const [min, max] = OPTION_LIMITS[key];
+                const parsed = parseInt(input.value, 10);
+                value = Math.min(max, Math.max(min, Number.isNaN(parsed) ? DEFAULT_OPTIONS[key] : parsed));
+                input.value = value;
+            } else {
+                value = input.value.trim() || DEFAULT_OPTIONS[key];
+                input.value = value;
             }
-            if (needsSync) scheduleSync();
+            setOption(key, value);
+            // A new period deserves a fresh pass
+            if (key === 'autoArchiveDays') autoArchiveRuns.clear();
+            applyOptions();
         });
 
-        observer.observe(document.body, {
-            childList: true,
-            subtree: true,
-            attributes: true,
-            attributeFilter: ['style', 'class', 'id']
+        panel.querySelector('.tmc_reset_btn').addEventListener('click', async () => {
+            const message = 'Delete all folders, pins, tags, rules and smart folders for every character?<br>' +
+                'Your chats themselves are not touched. This cannot be undone.';
+            if (await showConfirmDialog(message, 'Reset')) resetAllData();
         });
+
+        container.appendChild(panel);
     }
 
     // ========== INIT ==========
 
     function init() {
-        console.log(`[${EXTENSION_NAME}] v2.1.0 Loading...`);
-        const ctx = SillyTavern.getContext();
-
-        ctx.eventSource.on(ctx.event_types.CHAT_CHANGED, scheduleSync);
-
-        // Faster heartbeat
-        setInterval(() => {
-            const popup = document.querySelector('#shadow_select_chat_popup') || document.querySelector('#select_chat_popup');
-            if (popup && getComputedStyle(popup).display !== 'none') {
-                const proxy = popup.querySelector('#tmc_proxy_root');
-                if (!proxy || proxy.children.length === 0) {
-                    scheduleSync();
-                }
-            }
-        }, 500);
+        console.log(`[${EXTENSION_NAME}] v${EXTENSION_VERSION} (schema ${SCHEMA_VERSION}) Loading...`);
+        migrateSettings();
 
-        initObserver();
+        autoRepairFolders();
+        registerSlashCommands();
+        renderSettingsPanel();
+        // Binds events and starts watching the chat popup, unless turned off
+        applyOptions();
     }
 
     if (document.readyState === 'loading') {